@@ -13,20 +13,38 @@
     // Safari storage API compatibility
     const originalStorage = window.chrome?.storage || window.browser?.storage;
     if (originalStorage) {
-        // Ensure storage works consistently across browsers
-        const storageProxy = {
-            local: {
-                get: function(keys) {
-                    return new Promise((resolve) => {
-                        originalStorage.local.get(keys, resolve);
-                    });
-                },
-                set: function(items) {
-                    return new Promise((resolve) => {
-                        originalStorage.local.set(items, resolve);
-                    });
+        const runtime = window.chrome?.runtime || window.browser?.runtime;
+
+        // Callback APIs report failures (e.g. quota exceeded) through
+        // runtime.lastError; reject then, so callers can make room and retry
+        const callArea = (area, method, arg) => new Promise((resolve, reject) => {
+            area[method](arg, (result) => {
+                const error = runtime?.lastError;
+                if (error) {
+                    reject(new Error(error.message || String(error)));
+                } else {
+                    resolve(result);
                 }
+            });
+        });
+
+        // Ensure storage works consistently across browsers
+        const promisifyArea = (area) => ({
+            get: function(keys) {
+                return callArea(area, 'get', keys);
+            },
+            set: function(items) {
+                return callArea(area, 'set', items);
+            },
+            remove: function(keys) {
+                return callArea(area, 'remove', keys);
             }
+        });
+        const storageProxy = {
+            local: promisifyArea(originalStorage.local),
+            // Fall back to local storage where sync isn't available
+            sync: promisifyArea(originalStorage.sync || originalStorage.local),
+            onChanged: originalStorage.onChanged
         };
         
         // Only override if we need to
@@ -34,7 +34,12 @@ jq '{
     description: .description,
     permissions: (.permissions | to_entries | map(select(.value == true) | .key)),
     host_permissions: .permissions.host_permissions,
+    background: {
+        service_worker: .background.service_worker
+    },
     content_scripts: .content_scripts,
+    commands: .commands,
+    options_ui: .options_ui,
     action: .action,
     icons: .icons
 }' "$SHARED_CONFIG" > dist/chrome-extension/manifest.json
@@ -49,9 +54,15 @@ jq '{
     author: .author,
     description: .description,
     permissions: ((.permissions | to_entries | map(select(.value == true) | .key)) + .permissions.host_permissions),
+    background: {
+        scripts: (["safari-compatibility.js"] + .background.scripts + [.background.service_worker]),
+        persistent: false
+    },
     content_scripts: [
         .content_scripts[0] | .js = ["safari-compatibility.js"] + .js
     ],
+    commands: .commands,
+    options_ui: .options_ui,
     browser_action: .action,
     icons: .icons,
     browser_specific_settings: {
@@ -69,5 +80,7 @@ echo "🔍 Differences between generated manifests:"
 echo "   - Chrome uses Manifest V3, Safari uses V2"
 echo "   - Chrome separates storage/host permissions, Safari combines them"
 echo "   - Chrome uses 'action', Safari uses 'browser_action'"
+echo "   - Chrome runs a background service worker, Safari loads background scripts"
 echo "   - Safari includes safari-compatibility.js in content scripts"
+echo "   - Safari skips the page-world history hook (MV2 has no \"world\"); it polls the URL instead"
 echo "   - Safari includes browser_specific_settings"
\ No newline at end of file
@@ -62,10 +62,17 @@ print_status "Copying modular content scripts..."
 mkdir -p "$CHROME_DIR/core"
 cp "$SHARED_DIR/core/"*.js "$CHROME_DIR/core/"
 
+# Copy background service worker
+cp "$SHARED_DIR/background/service-worker.js" "$CHROME_DIR/"
+
 # Copy shared UI files
 cp "$SHARED_DIR/ui/styles.css" "$CHROME_DIR/"
 cp "$SHARED_DIR/ui/popup.html" "$CHROME_DIR/"
 cp "$SHARED_DIR/ui/popup.js" "$CHROME_DIR/"
+cp "$SHARED_DIR/ui/options.html" "$CHROME_DIR/"
+cp "$SHARED_DIR/ui/options.js" "$CHROME_DIR/"
+cp "$SHARED_DIR/ui/watchlist.html" "$CHROME_DIR/"
+cp "$SHARED_DIR/ui/watchlist.js" "$CHROME_DIR/"
 
 # Copy shared assets
 cp -r "$SHARED_DIR/assets/images" "$CHROME_DIR/"
@@ -88,10 +95,17 @@ print_status "Copying modular content scripts..."
 mkdir -p "$SAFARI_DIR/core"
 cp "$SHARED_DIR/core/"*.js "$SAFARI_DIR/core/"
 
+# Copy background service worker
+cp "$SHARED_DIR/background/service-worker.js" "$SAFARI_DIR/"
+
 # Copy shared UI files
 cp "$SHARED_DIR/ui/styles.css" "$SAFARI_DIR/"
 cp "$SHARED_DIR/ui/popup.html" "$SAFARI_DIR/"
 cp "$SHARED_DIR/ui/popup.js" "$SAFARI_DIR/"
+cp "$SHARED_DIR/ui/options.html" "$SAFARI_DIR/"
+cp "$SHARED_DIR/ui/options.js" "$SAFARI_DIR/"
+cp "$SHARED_DIR/ui/watchlist.html" "$SAFARI_DIR/"
+cp "$SHARED_DIR/ui/watchlist.js" "$SAFARI_DIR/"
 
 # Copy shared assets
 cp -r "$SHARED_DIR/assets/images" "$SAFARI_DIR/"
@@ -116,13 +130,18 @@ if [ -d "$SAFARI_XCODE_DIR" ]; then
     cd "$SAFARI_XCODE_DIR"
     
     # Remove old symlinks (but preserve native files)
-    rm -f *.html *.css 2>/dev/null || true
+    rm -f *.html *.css service-worker.js options.js watchlist.js 2>/dev/null || true
     rm -rf core images 2>/dev/null || true
     
     # Create new symlinks that automatically include any new JS files in core
     ln -sf ../../../dist/safari-extension/core core
     ln -sf ../../../dist/safari-extension/popup.html popup.html  
     ln -sf ../../../dist/safari-extension/popup.js popup.js
+    ln -sf ../../../dist/safari-extension/options.html options.html
+    ln -sf ../../../dist/safari-extension/options.js options.js
+    ln -sf ../../../dist/safari-extension/watchlist.html watchlist.html
+    ln -sf ../../../dist/safari-extension/watchlist.js watchlist.js
+    ln -sf ../../../dist/safari-extension/service-worker.js service-worker.js
     ln -sf ../../../dist/safari-extension/styles.css styles.css
     ln -sf ../../../dist/safari-extension/images images
     
@@ -136,7 +155,7 @@ fi
 print_status "Verifying builds..."
 
 # Check Chrome extension
-if [ -f "$CHROME_DIR/manifest.json" ] && [ -f "$CHROME_DIR/core/init.js" ] && [ -f "$CHROME_DIR/styles.css" ] && [ -d "$CHROME_DIR/core" ]; then
+if [ -f "$CHROME_DIR/manifest.json" ] && [ -f "$CHROME_DIR/core/init.js" ] && [ -f "$CHROME_DIR/service-worker.js" ] && [ -f "$CHROME_DIR/styles.css" ] && [ -d "$CHROME_DIR/core" ]; then
     print_success "Chrome extension verification passed"
 else
     print_error "Chrome extension verification failed"
@@ -144,7 +163,7 @@ else
 fi
 
 # Check Safari extension  
-if [ -f "$SAFARI_DIR/manifest.json" ] && [ -f "$SAFARI_DIR/core/init.js" ] && [ -f "$SAFARI_DIR/styles.css" ] && [ -d "$SAFARI_DIR/core" ]; then
+if [ -f "$SAFARI_DIR/manifest.json" ] && [ -f "$SAFARI_DIR/core/init.js" ] && [ -f "$SAFARI_DIR/service-worker.js" ] && [ -f "$SAFARI_DIR/styles.css" ] && [ -d "$SAFARI_DIR/core" ]; then
     print_success "Safari extension verification passed"
 else
     print_error "Safari extension verification failed"
@@ -0,0 +1,203 @@
+/**
+ * IMDBuddy - Background Service Worker
+ *
+ * Owns every IMDB lookup made by the extension. Content scripts in all
+ * tabs send their requests here over chrome.runtime messaging, so the
+ * request queue, rate limiter and persisted cache are shared instead of
+ * being duplicated per tab.
+ */
+
+// Chrome (Manifest V3) runs this file as a service worker and the core
+// modules must be imported here. Safari (Manifest V2) loads them as
+// background scripts listed in the manifest instead.
+// Keep this list in sync with background.scripts in shared-config.json.
+if (typeof importScripts === 'function') {
+    // Core modules register themselves on window, which workers don't have
+    self.window = self;
+    importScripts(
+        'core/config.js',
+        'core/settings.js',
+        'core/storage.js',
+        'core/cache-store.js',
+        'core/migrations.js',
+        'core/fuzzy-matcher.js',
+        'core/rating-providers.js',
+        'core/api-service.js',
+        'core/watchlist.js'
+    );
+}
+
+const Background = {
+    initPromise: null,
+
+    /**
+     * Load settings, the API service and the watchlist once per worker lifetime
+     * The worker can be stopped at any time, so this runs lazily on the
+     * first message after each start rather than on install.
+     * @returns {Promise<void>}
+     */
+    ensureReady() {
+        if (!this.initPromise) {
+            // ApiService.init migrates the stored watchlist, so it loads afterwards
+            this.initPromise = Settings.init()
+                .then(() => ApiService.init())
+                .then(() => Watchlist.init())
+                .catch((error) => {
+                    LOGGER.error('IMDBuddy: Background#ensureReady: Initialization failed:', error);
+                    this.initPromise = null;
+                    throw error;
+                });
+        }
+        return this.initPromise;
+    },
+
+    /**
+     * Route a message from a content script or the popup
+     * @param {Object} message - Message with a MESSAGE_TYPES type
+     * @param {Object} sender - Message sender
+     * @returns {Promise<Object>} Response payload
+     */
+    async handleMessage(message, sender) {
+        await this.ensureReady();
+
+        switch (message.type) {
+            case MESSAGE_TYPES.GET_RATING:
+                // ApiService shares in-flight lookups, so identical requests
+                // from different tabs produce a single API call
+                return {
+                    rating: await ApiService.getRating(message.titleData, {
+                        priority: message.priority,
+                        requestId: this.getRequestId(message, sender)
+                    })
+                };
+            case MESSAGE_TYPES.CANCEL_RATING:
+                return { cancelled: ApiService.cancelRating(message.titleData, this.getRequestId(message, sender)) };
+            case MESSAGE_TYPES.PRIORITIZE_RATING:
+                return { prioritized: ApiService.prioritizeRating(message.titleData, message.priority) };
+            case MESSAGE_TYPES.GET_CANDIDATES:
+                return await ApiService.getCandidates(message.titleData);
+            case MESSAGE_TYPES.SET_OVERRIDE:
+                return { rating: await ApiService.setOverride(message.titleData, message.candidate) };
+            case MESSAGE_TYPES.CLEAR_OVERRIDE:
+                return { rating: await ApiService.clearOverride(message.titleData) };
+            case MESSAGE_TYPES.GET_DETAILS:
+                return { details: await ApiService.getDetails(message.id) };
+            case MESSAGE_TYPES.GET_EPISODES:
+                return { episodes: await ApiService.getEpisodes(message.id, message.season) };
+            case MESSAGE_TYPES.GET_STATS:
+                return {
+                    cacheSize: CacheStore.size(BASE_CONFIG.STORAGE_KEY),
+                    usage: CacheStore.getUsage(),
+                    totals: ApiService.getCacheTotals()
+                };
+            case MESSAGE_TYPES.CLEAR_CACHE:
+                await ApiService.clearCache();
+                return { success: true };
+            case MESSAGE_TYPES.GET_CACHE_ENTRIES:
+                return ApiService.getCacheEntries({
+                    query: message.query,
+                    noMatchOnly: message.noMatchOnly,
+                    limit: message.limit
+                });
+            case MESSAGE_TYPES.DELETE_CACHE_ENTRY:
+                return { deleted: await ApiService.deleteCacheEntry(message.key) };
+            case MESSAGE_TYPES.REFRESH_CACHE_ENTRY:
+                return { entry: await ApiService.refreshCacheEntry(message.key) };
+            case MESSAGE_TYPES.GET_WATCHLIST:
+                return { items: Watchlist.getAll() };
+            case MESSAGE_TYPES.ADD_TO_WATCHLIST:
+                return { entry: await Watchlist.add(message.rating, message.titleData) };
+            case MESSAGE_TYPES.REMOVE_FROM_WATCHLIST:
+                await Watchlist.remove(message.id);
+                return { success: true };
+            case MESSAGE_TYPES.EXPORT_DATA:
+                return { items: Watchlist.getAll(), overrides: ApiService.overrides };
+            case MESSAGE_TYPES.IMPORT_DATA:
+                return {
+                    watchlist: await Watchlist.merge(message.items || []),
+                    overrides: await ApiService.mergeOverrides(message.overrides)
+                };
+            default:
+                throw new Error(`Unknown message type: ${message.type}`);
+        }
+    },
+
+    /**
+     * Scope a content script's request id to its tab
+     * @param {Object} message - Message with an optional requestId
+     * @param {Object} sender - Message sender
+     * @returns {string|null} Request id unique across tabs, or null
+     */
+    getRequestId(message, sender) {
+        if (!message.requestId) return null;
+        return `${sender.tab?.id ?? 'extension'}:${message.requestId}`;
+    },
+
+    /**
+     * Send a rating refreshed in the background to every tab showing ratings
+     * @param {Object} rating - Fresh rating data
+     * @returns {Promise<void>}
+     */
+    async broadcastRatingUpdate(rating) {
+        const matches = chrome.runtime.getManifest().content_scripts?.flatMap(script => script.matches) || [];
+        const tabs = await chrome.tabs.query({ url: matches });
+        await Promise.all(tabs.map(tab => chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.RATING_UPDATED, rating })
+            // Tabs loaded before the extension have no content script
+            .catch(error => LOGGER.debug(`IMDBuddy: Background#broadcastRatingUpdate: Tab ${tab.id} not reached:`, error.message))));
+        LOGGER.verbose(`IMDBuddy: Background#broadcastRatingUpdate: Sent ${rating.id} to ${tabs.length} tabs`);
+    },
+
+    /**
+     * Run a keyboard shortcut in the active tab
+     * @param {string} command - Command name from COMMANDS
+     * @returns {Promise<void>}
+     */
+    async handleCommand(command) {
+        if (command !== COMMANDS.SORT_ROWS) return;
+
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return;
+
+        try {
+            const result = await chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.TOGGLE_ROW_SORT });
+            LOGGER.debug('IMDBuddy: Background#handleCommand: Row sort toggled:', result);
+        } catch (error) {
+            // Tabs without the content script (unsupported sites) can't be sorted
+            LOGGER.debug('IMDBuddy: Background#handleCommand: No content script in the active tab:', error.message);
+        }
+    }
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || !Object.values(MESSAGE_TYPES).includes(message.type)) {
+        return false;
+    }
+
+    LOGGER.debug('IMDBuddy: Background: Received message:', message.type, sender.tab?.id);
+    Background.handleMessage(message, sender)
+        .then(sendResponse)
+        .catch((error) => {
+            LOGGER.error('IMDBuddy: Background: Message handling failed:', error);
+            sendResponse({ error: error.message });
+        });
+
+    // Keep the channel open for the async response
+    return true;
+});
+
+ApiService.onRatingUpdated((rating) => {
+    Background.broadcastRatingUpdate(rating).catch((error) => {
+        LOGGER.error('IMDBuddy: Background: Rating update broadcast failed:', error);
+    });
+});
+
+// Safari versions without keyboard shortcut support have no commands API
+if (chrome.commands) {
+    chrome.commands.onCommand.addListener((command) => {
+        Background.handleCommand(command).catch((error) => {
+            LOGGER.error('IMDBuddy: Background: Command failed:', error);
+        });
+    });
+}
+
+window.Background = Background;
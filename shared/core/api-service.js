@@ -1,27 +1,62 @@
 /**
  * IMDBuddy - API Service Module
  * 
- * Handles all communication with the IMDB API, including caching,
- * rate limiting, and request queue management.
+ * Handles all rating lookups, including caching, rate limiting, and
+ * request queue management. Requests themselves are made by the
+ * providers in rating-providers.js.
+ *
+ * Runs in the background service worker only, so a single queue and
+ * cache is shared by every tab. Content scripts go through RatingClient.
+ *
+ * Lookups are cached in the CacheStore namespace STORAGE_KEY, title
+ * details and episode lists ("tt..." or "tt...:s2") in DETAILS_KEY;
+ * entries are { data, status, timestamp }.
+ *
+ * Ratings older than CACHE_SOFT_MAX_AGE_SHARE of CACHE_MAX_AGE are
+ * stale-while-revalidate: they are still served, and refreshed by IMDb id at REFRESH priority. The
+ * refreshed rating reaches open tabs through onRatingUpdated.
  */
 
 const ApiService = {
-    cache: {},
-    requestQueue: [],
+    overrides: {}, // Pinned matches: "platform:title" -> { id, title, year, timestamp }
+    requestQueue: [], // Sorted by priority, then by arrival
+    queueSequence: 0,
+    pendingRequests: new Map(), // cacheKey -> Promise for lookups already queued or in flight
     activeRequests: 0,
     lastRequestTime: 0,
     requestTimes: [], // Track recent request times for better rate limiting
+    cacheStats: { hits: 0, misses: 0 }, // Rating lookups served from cache or not, since the last clear
+    statsTimer: null,
+    ratingUpdateHandler: null,
 
     /**
      * Initialize the API service
-     * Loads cache from storage and cleans expired entries
+     * Migrates stored data to the current schema, loads cache, pinned
+     * matches and title details from storage and cleans expired entries
      */
     async init() {
         LOGGER.group('IMDBuddy: ApiService#init');
         try {
-            this.cache = await Storage.get(BASE_CONFIG.STORAGE_KEY);
-            LOGGER.verbose('IMDBuddy: ApiService#init: Cache loaded, entries:', Object.keys(this.cache).length);
+            // Only the indexes are read here; entries are read on first use
+            const describe = entry => ({ timestamp: entry.timestamp, status: this.getEntryStatus(entry) });
+            const cacheSize = await CacheStore.open(BASE_CONFIG.STORAGE_KEY, {
+                describe,
+                // Old caches keep their version here until Migrations reads it
+                keep: [BASE_CONFIG.SCHEMA_VERSION_KEY]
+            });
+            LOGGER.verbose('IMDBuddy: ApiService#init: Cache loaded, entries:', cacheSize);
+            const detailsSize = await CacheStore.open(BASE_CONFIG.DETAILS_KEY, { describe });
+            LOGGER.verbose('IMDBuddy: ApiService#init: Title details loaded:', detailsSize);
+            // Pinned matches and the watchlist get room by evicting cache entries
+            Storage.onQuotaExceeded(() => CacheStore.freeSpace());
+            // Every provider request counts, including follow-ups and retries
+            RatingProviders.useRateLimiter(() => this.waitForRateLimit());
+            await Migrations.run({ dryRun: BASE_CONFIG.MIGRATIONS_DRY_RUN });
+            this.overrides = await Storage.get(BASE_CONFIG.OVERRIDES_KEY);
+            LOGGER.verbose('IMDBuddy: ApiService#init: Pinned matches loaded:', Object.keys(this.overrides).length);
+            this.cacheStats = { hits: 0, misses: 0, ...await Storage.get(BASE_CONFIG.CACHE_STATS_KEY) };
             await this.cleanExpiredEntries();
+            await this.cleanExpiredDetails();
             LOGGER.info('IMDBuddy: ApiService#init: Initialization complete');
         } catch (error) {
             LOGGER.error('IMDBuddy: ApiService#init: Initialization failed:', error);
@@ -33,35 +68,25 @@ const ApiService = {
 
     /**
      * Clean expired cache entries
-     * Removes entries older than CACHE_MAX_AGE
+     * Removes entries older than the lifetime for their lookup status
      */
     async cleanExpiredEntries() {
         LOGGER.group('IMDBuddy: ApiService#cleanExpiredEntries');
         try {
-            let hasExpiredEntries = false;
             let expiredCount = 0;
-            if (BASE_CONFIG.SCHEMA_VERSION != this.cache[BASE_CONFIG.SCHEMA_VERSION_KEY]) {
-                LOGGER.info(`IMDBuddy: ApiService#cleanExpiredEntries: Clearing cache, schema changed`);
-                expiredCount = this.cache.length;
-                hasExpiredEntries = true;
-                this.clearCache();
-                this.cache[BASE_CONFIG.SCHEMA_VERSION_KEY] = {
-                    value: BASE_CONFIG.SCHEMA_VERSION
-                };
-            } else {
-                const now = Date.now();
-                for (const [key, entry] of Object.entries(this.cache)) {
-                    if (!entry.timestamp || (now - entry.timestamp) > BASE_CONFIG.CACHE_MAX_AGE) {
-                        delete this.cache[key];
-                        hasExpiredEntries = true;
-                        expiredCount++;
-                    }
+            // Expiry is decided from the index, without reading the entries
+            for (const key of CacheStore.keys(BASE_CONFIG.STORAGE_KEY)) {
+                // Left behind by a dry run of the migrations
+                if (key === BASE_CONFIG.SCHEMA_VERSION_KEY) continue;
+                if (!this.isCacheEntryValid(CacheStore.getMeta(BASE_CONFIG.STORAGE_KEY, key))) {
+                    CacheStore.delete(BASE_CONFIG.STORAGE_KEY, key);
+                    expiredCount++;
                 }
             }
 
-            if (hasExpiredEntries) {
+            if (expiredCount > 0) {
                 LOGGER.info(`IMDBuddy: ApiService#cleanExpiredEntries: Cleaned ${expiredCount} expired entries`);
-                await this.saveCache();
+                await CacheStore.flush();
             } else {
                 LOGGER.verbose('IMDBuddy: ApiService#cleanExpiredEntries: No expired entries found');
             }
@@ -70,14 +95,70 @@ const ApiService = {
         }
     },
 
+    /**
+     * Clean expired title details
+     */
+    async cleanExpiredDetails() {
+        const expired = CacheStore.keys(BASE_CONFIG.DETAILS_KEY)
+            .filter(key => !this.isDetailsEntryValid(CacheStore.getMeta(BASE_CONFIG.DETAILS_KEY, key)));
+        if (expired.length === 0) return;
+
+        expired.forEach(key => CacheStore.delete(BASE_CONFIG.DETAILS_KEY, key));
+        await CacheStore.flush();
+        LOGGER.info(`IMDBuddy: ApiService#cleanExpiredDetails: Cleaned ${expired.length} expired entries`);
+    },
+
     /**
      * Check if cache entry is valid
+     * Also accepts the entry's index metadata, which has its timestamp and status.
      * @param {Object} entry - Cache entry to validate
      * @returns {boolean} True if entry is valid
      */
     isCacheEntryValid(entry) {
         if (!entry || !entry.timestamp) return false;
-        return (Date.now() - entry.timestamp) <= BASE_CONFIG.CACHE_MAX_AGE;
+        return (Date.now() - entry.timestamp) <= this.getCacheMaxAge(this.getEntryStatus(entry));
+    },
+
+    /**
+     * Check if a title details entry is valid
+     * Found details expire after DETAILS_CACHE_MAX_AGE, misses and failures
+     * like rating lookups.
+     * @param {Object} entry - Details entry to validate
+     * @returns {boolean} True if entry is valid
+     */
+    isDetailsEntryValid(entry) {
+        if (!entry || !entry.timestamp) return false;
+        const maxAge = entry.status === LOOKUP_STATUS.FOUND
+            ? BASE_CONFIG.DETAILS_CACHE_MAX_AGE
+            : this.getCacheMaxAge(entry.status);
+        return (Date.now() - entry.timestamp) <= maxAge;
+    },
+
+    /**
+     * Get the lookup status of a cache entry
+     * Entries written before statuses were recorded are inferred from their data.
+     * @param {Object} entry - Cache entry
+     * @returns {string} One of LOOKUP_STATUS
+     */
+    getEntryStatus(entry) {
+        if (entry.status) return entry.status;
+        return entry.data ? LOOKUP_STATUS.FOUND : LOOKUP_STATUS.NO_RESULTS;
+    },
+
+    /**
+     * Get how long a cache entry with the given status stays valid
+     * @param {string} status - One of LOOKUP_STATUS
+     * @returns {number} Maximum age in milliseconds
+     */
+    getCacheMaxAge(status) {
+        switch (status) {
+            case LOOKUP_STATUS.FOUND:
+                return BASE_CONFIG.CACHE_MAX_AGE;
+            case LOOKUP_STATUS.ERROR:
+                return BASE_CONFIG.ERROR_CACHE_MAX_AGE;
+            default:
+                return BASE_CONFIG.NO_MATCH_CACHE_MAX_AGE;
+        }
     },
 
     /**
@@ -86,20 +167,153 @@ const ApiService = {
     async clearCache() {
         LOGGER.group('IMDBuddy: ApiService#clearCache');
         try {
-            this.cache = {};
-            await Storage.set(BASE_CONFIG.STORAGE_KEY, {});
+            await CacheStore.clear(BASE_CONFIG.STORAGE_KEY);
+            await CacheStore.clear(BASE_CONFIG.DETAILS_KEY);
+            clearTimeout(this.statsTimer);
+            this.cacheStats = { hits: 0, misses: 0 };
+            await Storage.set(BASE_CONFIG.CACHE_STATS_KEY, this.cacheStats);
             LOGGER.info('IMDBuddy: ApiService#clearCache: Cache cleared successfully');
         } finally {
             LOGGER.groupEnd();
         }
     },
 
+    /**
+     * Get rating cache entries for the popup's cache inspector
+     * @param {Object} [options] - Filters
+     * @param {string} [options.query] - Text the searched or matched title must contain
+     * @param {boolean} [options.noMatchOnly] - Only lookups that found no title
+     * @param {number} [options.limit] - Most entries returned, most recent first
+     * @returns {Promise<{entries: Array<Object>, matching: number, totals: Object}>} Entry
+     *          summaries (see summarizeCacheEntry), how many entries matched before the
+     *          limit, and the totals from getCacheTotals
+     */
+    async getCacheEntries({ query = '', noMatchOnly = false, limit = 50 } = {}) {
+        const needle = query.trim().toLowerCase();
+        const entries = await CacheStore.getAll(BASE_CONFIG.STORAGE_KEY);
+        // Left behind by a dry run of the migrations
+        delete entries[BASE_CONFIG.SCHEMA_VERSION_KEY];
+
+        const matching = Object.entries(entries)
+            .map(([key, entry]) => this.summarizeCacheEntry(key, entry))
+            .filter(summary => !noMatchOnly || !summary.match)
+            .filter(summary => !needle || [summary.query.title, summary.match?.title]
+                .some(title => title?.toLowerCase().includes(needle)))
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+        return {
+            entries: matching.slice(0, limit),
+            matching: matching.length,
+            totals: this.getCacheTotals()
+        };
+    },
+
+    /**
+     * Summarize a rating cache entry for the cache inspector
+     * @param {string} key - Cache key
+     * @param {Object} entry - Cache entry
+     * @returns {Object} { key, query: parseCacheKey output, status, timestamp,
+     *          match: { id, title, year, score, url } or null }
+     */
+    summarizeCacheEntry(key, entry) {
+        const { data } = entry;
+        return {
+            key,
+            query: this.parseCacheKey(key),
+            status: this.getEntryStatus(entry),
+            timestamp: entry.timestamp,
+            match: data ? { id: data.id, title: data.title, year: data.year, score: data.score, url: data.url } : null
+        };
+    },
+
+    /**
+     * Get totals of the rating cache, from the index and hit counters
+     * @returns {{entries: number, bytes: number, oldest: number|null, hits: number, misses: number,
+     *          hitRate: number|null}} oldest is a timestamp, hitRate a share between 0 and 1
+     */
+    getCacheTotals() {
+        const totals = { entries: 0, bytes: 0, oldest: null, ...this.cacheStats, hitRate: null };
+        for (const key of CacheStore.keys(BASE_CONFIG.STORAGE_KEY)) {
+            if (key === BASE_CONFIG.SCHEMA_VERSION_KEY) continue;
+            const meta = CacheStore.getMeta(BASE_CONFIG.STORAGE_KEY, key);
+            totals.entries++;
+            totals.bytes += meta.size || 0;
+            if (meta.timestamp && (totals.oldest === null || meta.timestamp < totals.oldest)) {
+                totals.oldest = meta.timestamp;
+            }
+        }
+        const lookups = totals.hits + totals.misses;
+        if (lookups > 0) totals.hitRate = totals.hits / lookups;
+        return totals;
+    },
+
+    /**
+     * Remove one entry from the rating cache
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} True if there was an entry
+     */
+    async deleteCacheEntry(key) {
+        const deleted = CacheStore.delete(BASE_CONFIG.STORAGE_KEY, key);
+        if (deleted) {
+            await CacheStore.flush();
+            LOGGER.info('IMDBuddy: ApiService#deleteCacheEntry: Removed', key);
+        }
+        return deleted;
+    },
+
+    /**
+     * Look a cached title up again, at the user's request
+     * Found ratings are refreshed by their IMDb id, keeping the cached
+     * rating if that fails; misses and failures are searched again. A
+     * lookup already queued for the key is moved up and joined instead.
+     * Not counted as a cache hit or miss.
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Summary of the entry now cached, see summarizeCacheEntry,
+     *          or null if the key is not in the cache
+     */
+    async refreshCacheEntry(key) {
+        const entry = await CacheStore.get(BASE_CONFIG.STORAGE_KEY, key);
+        if (!entry) return null;
+
+        LOGGER.info('IMDBuddy: ApiService#refreshCacheEntry: Looking up again:', key);
+        if (this.pendingRequests.has(key)) {
+            this.prioritizeLookup(key, LOOKUP_PRIORITY.VISIBLE);
+            await this.pendingRequests.get(key);
+        } else if (this.isCacheEntryRefreshable(entry)) {
+            await this.enqueue(key, { id: entry.data.id, title: entry.data.title, refresh: true }, LOOKUP_PRIORITY.VISIBLE, Symbol('refresh'));
+        } else {
+            const query = this.parseCacheKey(key);
+            const request = query.id ? { id: query.id, title: query.id } : query;
+            await this.enqueue(key, request, LOOKUP_PRIORITY.VISIBLE, Symbol('caller'));
+        }
+
+        const refreshed = await CacheStore.get(BASE_CONFIG.STORAGE_KEY, key);
+        return refreshed && this.summarizeCacheEntry(key, refreshed);
+    },
+
+    /**
+     * Count a rating lookup as served from cache or not
+     * Counters are written after CACHE_WRITE_DELAY, with any counted meanwhile.
+     * @param {boolean} hit - True if the cache had a valid entry
+     */
+    recordCacheResult(hit) {
+        this.cacheStats[hit ? 'hits' : 'misses']++;
+        if (this.statsTimer) return;
+        this.statsTimer = setTimeout(() => {
+            this.statsTimer = null;
+            Storage.set(BASE_CONFIG.CACHE_STATS_KEY, this.cacheStats);
+        }, BASE_CONFIG.CACHE_WRITE_DELAY);
+    },
+
     /**
      * Get rating for a title with caching and fuzzy matching
-     * @param {Object} titleData - Object containing title and type
+     * A match pinned by the user for this platform and title wins over
+     * the cache and the fuzzy matcher.
+     * @param {Object} titleData - Object containing title, type, optional year hint and platform key
+     * @param {Object} [options] - Queue options, see lookup
      * @returns {Promise<Object|null>} Rating data or null
      */
-    async getRating(titleData) {
+    async getRating(titleData, options = {}) {
         LOGGER.debug('IMDBuddy: ApiService#getRating: Called with:', titleData);
         
         if (!titleData || !titleData.title) {
@@ -107,24 +321,519 @@ const ApiService = {
             return null;
         }
 
-        const { title, type } = titleData;
-        const cacheKey = `${title.toLowerCase()}_${type || 'unknown'}`;
+        const override = this.overrides[this.getOverrideKey(titleData)];
+        if (override) {
+            LOGGER.verbose(`IMDBuddy: ApiService#getRating: Using pinned match ${override.id} for:`, titleData.title);
+            const rating = await this.getRatingById(override.id, options);
+            return rating && { ...rating, pinned: true };
+        }
+
+        const { title, type, year } = titleData;
+        const cacheKey = this.getCacheKey(titleData);
         LOGGER.verbose(`IMDBuddy: ApiService#getRating: Cache key: ${cacheKey}`);
+        return this.lookup(cacheKey, { title, type, year }, options);
+    },
+
+    /**
+     * Get rating for an IMDb id, skipping search and fuzzy matching
+     * @param {string} id - IMDb title id (tt...)
+     * @param {Object} [options] - Queue options, see lookup
+     * @returns {Promise<Object|null>} Rating data or null
+     */
+    async getRatingById(id, options = {}) {
+        return this.lookup(`id:${id}`, { id, title: id }, options);
+    },
+
+    /**
+     * Withdraw a caller's interest in a queued rating lookup
+     * @param {Object} titleData - Title data the rating was requested for
+     * @param {string} requestId - Id the caller passed to getRating
+     * @returns {boolean} True if the lookup was still queued
+     */
+    cancelRating(titleData, requestId) {
+        return this.cancelLookup(this.getLookupKey(titleData), requestId);
+    },
+
+    /**
+     * Move a queued rating lookup up, e.g. when its card scrolls into view
+     * Lookups already in flight or settled are left alone.
+     * @param {Object} titleData - Title data the rating was requested for
+     * @param {number} priority - One of LOOKUP_PRIORITY
+     * @returns {boolean} True if the lookup was queued at a lower priority
+     */
+    prioritizeRating(titleData, priority) {
+        return this.prioritizeLookup(this.getLookupKey(titleData), priority);
+    },
+
+    /**
+     * Get the cache key a title's rating is looked up under
+     * @param {Object} titleData - Object containing title, type, optional year hint and platform key
+     * @returns {string} The pinned match's "id:tt..." key, or the title's cache key
+     */
+    getLookupKey(titleData) {
+        const override = this.overrides[this.getOverrideKey(titleData)];
+        return override ? `id:${override.id}` : this.getCacheKey(titleData);
+    },
+
+    /**
+     * Serve a lookup from cache, or queue it once for all callers
+     * A caller asking with a higher priority moves a queued lookup up.
+     * @param {string} cacheKey - Cache key for the lookup
+     * @param {Object} request - Request fields: title, type, year, or id for direct lookups
+     * @param {Object} [options] - Queue options
+     * @param {number} [options.priority] - One of LOOKUP_PRIORITY, VISIBLE by default
+     * @param {string} [options.requestId] - Lets the caller cancel the lookup; lookups
+     *                                       without one can't be cancelled
+     * @returns {Promise<Object|null>} Rating data, or null (also when cancelled)
+     */
+    async lookup(cacheKey, request, { priority = LOOKUP_PRIORITY.VISIBLE, requestId = null } = {}) {
+        const { title } = request;
 
         // Check cache first
-        const cachedResult = this.cache[cacheKey];
+        const cachedResult = await CacheStore.get(BASE_CONFIG.STORAGE_KEY, cacheKey);
         if (cachedResult && this.isCacheEntryValid(cachedResult)) {
-            LOGGER.verbose('IMDBuddy: ApiService#getRating: Cache hit for:', title);
+            LOGGER.verbose(`IMDBuddy: ApiService#lookup: Cache hit (${this.getEntryStatus(cachedResult)}) for:`, title);
+            CacheStore.touch(BASE_CONFIG.STORAGE_KEY, cacheKey);
+            this.recordCacheResult(true);
+            if (this.isCacheEntryStale(cachedResult)) {
+                this.scheduleRefresh(cacheKey, cachedResult);
+            }
             return cachedResult.data;
         }
-        LOGGER.verbose('IMDBuddy: ApiService#getRating: Cache miss for:', title);
+        LOGGER.verbose(`IMDBuddy: ApiService#lookup: Cache ${cachedResult ? 'expired' : 'miss'} for:`, title);
+        this.recordCacheResult(false);
+
+        // Share a lookup that is already queued or in flight for the same key
+        // Anonymous callers get a token no one else holds, so they can't be cancelled
+        const waiter = requestId ?? Symbol('caller');
+
+        if (this.pendingRequests.has(cacheKey)) {
+            LOGGER.verbose('IMDBuddy: ApiService#lookup: Joining pending request for:', title);
+            this.requestQueue.find(item => item.cacheKey === cacheKey)?.waiters.add(waiter);
+            this.prioritizeLookup(cacheKey, priority);
+            return this.pendingRequests.get(cacheKey);
+        }
+
+        return this.enqueue(cacheKey, request, priority, waiter);
+    },
 
-        // Add to request queue
-        return new Promise((resolve) => {
-            LOGGER.verbose('IMDBuddy: ApiService#getRating: Adding to request queue:', title);
-            this.requestQueue.push({ title, type, cacheKey, resolve });
+    /**
+     * Run provider requests other than rating lookups through the queue
+     * The task shares the concurrency limit and priority order with
+     * lookups; callers asking with the same key share one run.
+     * @param {string} key - Key identifying the task, distinct from cache keys
+     * @param {Function} run - Async function making the requests, returns the result
+     * @param {number} [priority] - One of LOOKUP_PRIORITY, VISIBLE by default
+     * @returns {Promise<*>} Result of run, or null if it threw
+     */
+    runQueued(key, run, priority = LOOKUP_PRIORITY.VISIBLE) {
+        if (this.pendingRequests.has(key)) return this.pendingRequests.get(key);
+        return this.enqueue(key, { title: key, run }, priority, Symbol('caller'));
+    },
+
+    /**
+     * Queue a request, shared by every caller until it settles
+     * @param {string} cacheKey - Cache key for the lookup, or the runQueued key for tasks
+     * @param {Object} request - Request fields, see lookup; refresh: true for background
+     *                           refreshes, run for runQueued tasks
+     * @param {number} priority - One of LOOKUP_PRIORITY
+     * @param {string|Symbol} waiter - First caller waiting for the result
+     * @returns {Promise<Object|null>} Rating data, or null
+     */
+    enqueue(cacheKey, request, priority, waiter) {
+        const pending = new Promise((resolve) => {
+            LOGGER.verbose(`IMDBuddy: ApiService#enqueue: Adding to request queue (priority ${priority}):`, request.title);
+            this.requestQueue.push({
+                ...request,
+                cacheKey,
+                resolve,
+                priority,
+                sequence: this.queueSequence++,
+                waiters: new Set([waiter])
+            });
+            this.sortQueue();
             this.processQueue();
+        }).finally(() => {
+            // processRequest and processTask always resolve (null on failure
+            // or no match), so every waiter settles together and the key is released
+            this.pendingRequests.delete(cacheKey);
         });
+        this.pendingRequests.set(cacheKey, pending);
+        return pending;
+    },
+
+    /**
+     * Check whether a cached rating should be refreshed in the background
+     * Only found ratings are refreshed, by their IMDb id; misses and failures
+     * are looked up again once they expire.
+     * @param {Object} entry - Valid cache entry
+     * @returns {boolean} True if the entry is past getCacheSoftMaxAge
+     */
+    isCacheEntryStale(entry) {
+        return this.isCacheEntryRefreshable(entry)
+            && (Date.now() - entry.timestamp) > this.getCacheSoftMaxAge();
+    },
+
+    /**
+     * Get the age at which a found rating is refreshed in the background
+     * A share of CACHE_MAX_AGE, so it stays below it whatever the user sets.
+     * @returns {number} Age in milliseconds
+     */
+    getCacheSoftMaxAge() {
+        return BASE_CONFIG.CACHE_MAX_AGE * BASE_CONFIG.CACHE_SOFT_MAX_AGE_SHARE;
+    },
+
+    /**
+     * Check whether a cache entry can be refreshed by its IMDb id
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} True for found ratings with an id
+     */
+    isCacheEntryRefreshable(entry) {
+        return this.getEntryStatus(entry) === LOOKUP_STATUS.FOUND && Boolean(entry.data?.id);
+    },
+
+    /**
+     * Queue a background refresh of a stale rating by its IMDb id
+     * A key is refreshed at most once per ERROR_CACHE_MAX_AGE, so a failing
+     * refresh isn't retried on every hit. The attempt is recorded on the
+     * entry, so the limit holds across service worker restarts.
+     * @param {string} cacheKey - Cache key of the stale entry
+     * @param {Object} entry - Stale cache entry
+     */
+    scheduleRefresh(cacheKey, entry) {
+        if (this.pendingRequests.has(cacheKey)) return;
+        if (entry.refreshAttempt && Date.now() - entry.refreshAttempt < BASE_CONFIG.ERROR_CACHE_MAX_AGE) return;
+
+        const rating = entry.data;
+        CacheStore.set(BASE_CONFIG.STORAGE_KEY, cacheKey, { ...entry, refreshAttempt: Date.now() }, { touch: false });
+        LOGGER.verbose('IMDBuddy: ApiService#scheduleRefresh: Refreshing stale rating for:', rating.title);
+        // No caller waits for it, so a token no one holds keeps it from being cancelled
+        this.enqueue(cacheKey, { id: rating.id, title: rating.title, refresh: true }, LOOKUP_PRIORITY.REFRESH, Symbol('refresh'));
+    },
+
+    /**
+     * Store the result of a background refresh
+     * A failed refresh keeps the cached rating, which is served until it
+     * reaches CACHE_MAX_AGE; the search candidates are kept either way.
+     * @param {string} cacheKey - Cache key of the refreshed entry
+     * @param {string} status - One of LOOKUP_STATUS
+     * @param {Object|null} data - Fresh rating data
+     * @returns {Promise<Object|null>} The rating now cached, or null if the entry is gone
+     */
+    async applyRefresh(cacheKey, status, data) {
+        const previous = await CacheStore.get(BASE_CONFIG.STORAGE_KEY, cacheKey);
+        // Cleared or deleted while the refresh ran
+        if (!previous) return data;
+
+        if (status !== LOOKUP_STATUS.FOUND) {
+            LOGGER.warn(`IMDBuddy: ApiService#applyRefresh: Refresh failed (${status}), keeping cached rating for:`, cacheKey);
+            return previous.data;
+        }
+
+        const refreshed = { ...previous, data, status, timestamp: Date.now() };
+        delete refreshed.refreshAttempt;
+        CacheStore.set(BASE_CONFIG.STORAGE_KEY, cacheKey, refreshed, { touch: false });
+        if (this.hasRatingChanged(previous.data, data)) {
+            LOGGER.info('IMDBuddy: ApiService#applyRefresh: Rating changed for:', data.title);
+            this.ratingUpdateHandler?.(data);
+        }
+        return data;
+    },
+
+    /**
+     * Check whether a refreshed rating shows anything different
+     * @param {Object|null} previous - Cached rating data
+     * @param {Object} current - Fresh rating data
+     * @returns {boolean} True if scores, votes or the title changed
+     */
+    hasRatingChanged(previous, current) {
+        const shown = rating => JSON.stringify([rating?.score, rating?.votes, rating?.scores, rating?.title, rating?.year]);
+        return shown(previous) !== shown(current);
+    },
+
+    /**
+     * Set the function told about ratings changed by a background refresh
+     * @param {Function} handler - Gets the fresh rating data
+     */
+    onRatingUpdated(handler) {
+        this.ratingUpdateHandler = handler;
+    },
+
+    /**
+     * Get the full title record shown on the detail card
+     * Details are cached per IMDb id, apart from the search cache, and
+     * fetched only when a card is opened.
+     * @param {string} id - IMDb title id (tt...)
+     * @returns {Promise<Object|null>} Title details or null
+     */
+    getDetails(id) {
+        return this.getDetailsEntry(id, provider => provider.getDetails(id));
+    },
+
+    /**
+     * Get the episodes of one season of a series, with their ratings
+     * Cached with title details, so ratings of airing seasons stay fresh.
+     * @param {string} id - IMDb id of the series (tt...)
+     * @param {number} season - Season number
+     * @returns {Promise<Array<Object>|null>} Episodes or null
+     */
+    getEpisodes(id, season) {
+        return this.getDetailsEntry(`${id}:s${season}`, provider => provider.getEpisodes(id, season));
+    },
+
+    /**
+     * Serve a details record from cache, or fetch it once for all callers
+     * Fetches run from the request queue at VISIBLE priority, since a card
+     * is open and waiting for them.
+     * @param {string} key - Details cache key
+     * @param {Function} fetchFromProvider - Gets a provider, returns the record or null
+     * @returns {Promise<Object|null>} Record or null
+     */
+    async getDetailsEntry(key, fetchFromProvider) {
+        const cached = await CacheStore.get(BASE_CONFIG.DETAILS_KEY, key);
+        if (cached && this.isDetailsEntryValid(cached)) {
+            LOGGER.verbose('IMDBuddy: ApiService#getDetailsEntry: Cache hit for:', key);
+            CacheStore.touch(BASE_CONFIG.DETAILS_KEY, key);
+            return cached.data;
+        }
+
+        return this.runQueued(`details:${key}`, () => this.fetchDetails(key, fetchFromProvider));
+    },
+
+    /**
+     * Fetch a details record across rating providers and cache the result
+     * @param {string} key - Details cache key
+     * @param {Function} fetchFromProvider - Gets a provider, returns the record or null
+     * @returns {Promise<Object|null>} Record or null
+     */
+    async fetchDetails(key, fetchFromProvider) {
+        LOGGER.group(`IMDBuddy: ApiService#fetchDetails: ${key}`);
+        try {
+            let status = LOOKUP_STATUS.NO_RESULTS;
+            let data = null;
+
+            for (const provider of RatingProviders.getOrder()) {
+                try {
+                    data = await fetchFromProvider(provider);
+                    if (data) {
+                        status = LOOKUP_STATUS.FOUND;
+                        break;
+                    }
+                    LOGGER.warn(`IMDBuddy: ApiService#fetchDetails: ${provider.name} has nothing for:`, key);
+                } catch (error) {
+                    LOGGER.error(`IMDBuddy: ApiService#fetchDetails: ${provider.name} request failed:`, error);
+                    status = LOOKUP_STATUS.ERROR;
+                }
+            }
+
+            CacheStore.set(BASE_CONFIG.DETAILS_KEY, key, { data, status, timestamp: Date.now() });
+            return data;
+        } finally {
+            LOGGER.groupEnd();
+        }
+    },
+
+    /**
+     * Withdraw a caller from a queued lookup
+     * The lookup is dropped once no caller waits for it; lookups already
+     * in flight always complete and are cached.
+     * @param {string} cacheKey - Cache key for the lookup
+     * @param {string} requestId - Id the caller passed to lookup
+     * @returns {boolean} True if the lookup was still queued
+     */
+    cancelLookup(cacheKey, requestId) {
+        const index = this.requestQueue.findIndex(item => item.cacheKey === cacheKey);
+        if (index === -1) return false;
+
+        const queued = this.requestQueue[index];
+        queued.waiters.delete(requestId);
+        if (queued.waiters.size === 0) {
+            this.requestQueue.splice(index, 1);
+            queued.resolve(null);
+            LOGGER.verbose('IMDBuddy: ApiService#cancelLookup: Dropped queued lookup for:', queued.title);
+        }
+        return true;
+    },
+
+    /**
+     * Raise the priority of a queued lookup
+     * @param {string} cacheKey - Cache key for the lookup
+     * @param {number} priority - One of LOOKUP_PRIORITY
+     * @returns {boolean} True if the lookup was queued at a lower priority
+     */
+    prioritizeLookup(cacheKey, priority) {
+        const queued = this.requestQueue.find(item => item.cacheKey === cacheKey);
+        if (!queued || priority >= queued.priority) return false;
+
+        queued.priority = priority;
+        this.sortQueue();
+        return true;
+    },
+
+    /**
+     * Order the queue by priority, keeping arrival order within a priority
+     */
+    sortQueue() {
+        this.requestQueue.sort((a, b) => (a.priority - b.priority) || (a.sequence - b.sequence));
+    },
+
+    /**
+     * Get the search candidates for a title, for the match picker
+     * Uses the candidates stored with the cached lookup when available,
+     * otherwise searches again.
+     * @param {Object} titleData - Object containing title, type, optional year hint and platform key
+     * @returns {Promise<{candidates: Array<Object>, selectedId: string|null}>}
+     */
+    async getCandidates(titleData) {
+        const entry = await CacheStore.get(BASE_CONFIG.STORAGE_KEY, this.getCacheKey(titleData));
+        const override = this.overrides[this.getOverrideKey(titleData)];
+        const candidates = entry?.candidates
+            ?? await this.runQueued(`candidates:${this.getCacheKey(titleData)}`, () => this.searchCandidates(titleData))
+            ?? [];
+
+        return {
+            candidates,
+            selectedId: override?.id ?? entry?.data?.id ?? null
+        };
+    },
+
+    /**
+     * Search the rating providers for a title's candidates
+     * Runs from the request queue, see getCandidates.
+     * @param {Object} titleData - Object containing title and type
+     * @returns {Promise<Array<Object>>} Candidate summaries from the first provider with results
+     */
+    async searchCandidates(titleData) {
+        for (const provider of RatingProviders.getOrder()) {
+            try {
+                const results = await provider.search(titleData.title, titleData.type);
+                if (results.length > 0) return this.summarizeCandidates(results, provider.key);
+            } catch (error) {
+                LOGGER.error(`IMDBuddy: ApiService#searchCandidates: ${provider.name} search failed:`, error);
+            }
+        }
+        return [];
+    },
+
+    /**
+     * Pin a candidate as the match for a platform title
+     * @param {Object} titleData - Object containing title and platform key
+     * @param {Object} candidate - Candidate summary from getCandidates
+     * @returns {Promise<Object|null>} Rating for the pinned title
+     */
+    async setOverride(titleData, candidate) {
+        const key = this.getOverrideKey(titleData);
+        this.overrides[key] = {
+            id: candidate.id,
+            title: candidate.title,
+            year: candidate.year,
+            timestamp: Date.now()
+        };
+        await Storage.set(BASE_CONFIG.OVERRIDES_KEY, this.overrides);
+        LOGGER.info(`IMDBuddy: ApiService#setOverride: Pinned ${candidate.id} for ${key}`);
+        return this.getRating(titleData);
+    },
+
+    /**
+     * Remove a pinned match so the fuzzy matcher is used again
+     * @param {Object} titleData - Object containing title and platform key
+     * @returns {Promise<Object|null>} Rating from the automatic match
+     */
+    async clearOverride(titleData) {
+        const key = this.getOverrideKey(titleData);
+        delete this.overrides[key];
+        await Storage.set(BASE_CONFIG.OVERRIDES_KEY, this.overrides);
+        LOGGER.info(`IMDBuddy: ApiService#clearOverride: Removed pinned match for ${key}`);
+        return this.getRating(titleData);
+    },
+
+    /**
+     * Merge imported pinned matches
+     * Keys that are already pinned to a different title keep their current
+     * match and are reported as conflicts.
+     * @param {Object} overrides - Imported pinned matches keyed by "platform:title"
+     * @returns {Promise<Object>} Report { added, unchanged, invalid, conflicts }
+     */
+    async mergeOverrides(overrides) {
+        const report = { added: 0, unchanged: 0, invalid: 0, conflicts: [] };
+
+        for (const [key, override] of Object.entries(overrides || {})) {
+            if (!key.includes(':') || typeof override?.id !== 'string' || !/^tt\d+$/.test(override.id)) {
+                report.invalid++;
+                continue;
+            }
+
+            const existing = this.overrides[key];
+            if (!existing) {
+                this.overrides[key] = {
+                    id: override.id,
+                    title: typeof override.title === 'string' ? override.title : override.id,
+                    year: Number.isInteger(override.year) ? override.year : null,
+                    timestamp: Number(override.timestamp) || Date.now()
+                };
+                report.added++;
+            } else if (existing.id === override.id) {
+                report.unchanged++;
+            } else {
+                report.conflicts.push({ key, kept: existing.id, imported: override.id });
+            }
+        }
+
+        if (report.added > 0) {
+            await Storage.set(BASE_CONFIG.OVERRIDES_KEY, this.overrides);
+        }
+        LOGGER.info('IMDBuddy: ApiService#mergeOverrides: Import merged:', report);
+        return report;
+    },
+
+    /**
+     * Build the key a pinned match is stored under
+     * @param {Object} titleData - Object containing title and platform key
+     * @returns {string} Override key, e.g. "netflix:dune"
+     */
+    getOverrideKey({ title, platform }) {
+        return `${platform || 'unknown'}:${title.toLowerCase().trim()}`;
+    },
+
+    /**
+     * Summarize search results for the match picker
+     * @param {Array<Object>} results - Search results in FuzzyMatcher shape
+     * @param {string} providerKey - Key of the provider that returned them
+     * @returns {Array<Object>} Up to MAX_CANDIDATES candidate summaries
+     */
+    summarizeCandidates(results, providerKey) {
+        return results
+            .filter(result => result.id)
+            .slice(0, BASE_CONFIG.MAX_CANDIDATES)
+            .map(result => RatingProviders.summarizeCandidate(result, providerKey));
+    },
+
+    /**
+     * Build the cache key for a title lookup
+     * The year is only appended when present, so keys for titles without
+     * a year hint are unchanged.
+     * @param {Object} titleData - Object containing title, type and optional year hint
+     * @returns {string} Cache key
+     */
+    getCacheKey({ title, type, year }) {
+        const key = `${title.toLowerCase()}_${type || 'unknown'}`;
+        return year ? `${key}_${year}` : key;
+    },
+
+    /**
+     * Read the lookup fields back from a cache key
+     * Title keys end in the type and an optional year; the title itself
+     * is lowercased and may contain underscores.
+     * @param {string} key - Cache key from getCacheKey, or "id:tt..." for direct lookups
+     * @returns {Object} { id } or { title, type, year }, type and year null when absent
+     */
+    parseCacheKey(key) {
+        if (key.startsWith('id:')) return { id: key.slice(3) };
+
+        const parts = key.split('_');
+        const year = parts.length > 2 && /^\d{4}$/.test(parts[parts.length - 1]) ? Number(parts.pop()) : null;
+        const type = parts.length > 1 ? parts.pop() : 'unknown';
+        return { title: parts.join('_'), type: type === 'unknown' ? null : type, year };
     },
 
     /**
@@ -143,7 +852,11 @@ const ApiService = {
         LOGGER.debug(`IMDBuddy: ApiService#processQueue: Processing request for: ${request.title}`);
 
         try {
-            await this.processRequest(request);
+            if (request.run) {
+                await this.processTask(request);
+            } else {
+                await this.processRequest(request);
+            }
         } finally {
             this.activeRequests--;
             // Process next request in queue
@@ -153,25 +866,33 @@ const ApiService = {
 
     /**
      * Process a single API request
-     * @param {Object} request - Request object containing title, type, cacheKey, resolve
+     * @param {Object} request - Request object containing title, type, year (or id), cacheKey,
+     *                           resolve, and refresh for background refreshes
      */
-    async processRequest({ title, type, cacheKey, resolve }) {
+    async processRequest({ id, title, type, year, cacheKey, resolve, refresh }) {
         LOGGER.group(`IMDBuddy: ApiService#processRequest: ${title}`);
         try {
-            await this.waitForRateLimit();
-            
-            const result = await this.fetchFromApi(title, type, cacheKey);
-            LOGGER.verbose('IMDBuddy: ApiService#processRequest: API result:', result);
+            const { status, data, candidates } = id
+                ? await this.fetchById(id)
+                : await this.fetchFromApi(title, type, cacheKey, year);
+            LOGGER.verbose(`IMDBuddy: ApiService#processRequest: API result (${status}):`, data);
+
+            if (refresh) {
+                resolve(await this.applyRefresh(cacheKey, status, data));
+                return;
+            }
             
-            // Cache the result
-            this.cache[cacheKey] = {
-                data: result,
+            // Cache the result, including misses and failures, which expire sooner.
+            // Search candidates are kept for the match picker.
+            CacheStore.set(BASE_CONFIG.STORAGE_KEY, cacheKey, {
+                data,
+                status,
+                candidates,
                 timestamp: Date.now()
-            };
-            await this.saveCache();
+            });
             LOGGER.verbose('IMDBuddy: ApiService#processRequest: Result cached successfully');
             
-            resolve(result);
+            resolve(data);
         } catch (error) {
             LOGGER.error('IMDBuddy: ApiService#processRequest: API request failed:', error);
             resolve(null);
@@ -180,20 +901,34 @@ const ApiService = {
         }
     },
 
+    /**
+     * Run a task queued with runQueued
+     * @param {Object} task - Queue item containing cacheKey, run and resolve
+     */
+    async processTask({ cacheKey, run, resolve }) {
+        try {
+            resolve(await run());
+        } catch (error) {
+            LOGGER.error(`IMDBuddy: ApiService#processTask: ${cacheKey} failed:`, error);
+            resolve(null);
+        }
+    },
+
     /**
      * Wait for rate limit compliance
+     * Called by RatingProviders.fetchJson before every request.
      */
     async waitForRateLimit() {
+        // Take the next free slot before waiting, so requests started at
+        // the same time are spaced out instead of all firing together
         const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        
-        if (timeSinceLastRequest < BASE_CONFIG.REQUEST_DELAY) {
-            const waitTime = BASE_CONFIG.REQUEST_DELAY - timeSinceLastRequest;
-            await new Promise(resolve => setTimeout(resolve, waitTime));
+        const slot = Math.max(now, this.lastRequestTime + BASE_CONFIG.REQUEST_DELAY);
+        this.lastRequestTime = slot;
+
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
         }
         
-        this.lastRequestTime = Date.now();
-        
         // Track request times for advanced rate limiting
         this.requestTimes.push(this.lastRequestTime);
         this.requestTimes = this.requestTimes.filter(time => 
@@ -202,88 +937,88 @@ const ApiService = {
     },
 
     /**
-     * Fetch data from IMDB API with fuzzy matching
+     * Look a title up across rating providers with fuzzy matching
+     * Providers are tried in PROVIDER_ORDER; the next one is used when a
+     * provider errors, returns nothing or has no confident match.
      * @param {string} title - Movie/show title
      * @param {string|null} expectedType - Expected content type
      * @param {string} cacheKey - Cache key for the request
-     * @param {number} retryCount - Current retry attempt
-     * @returns {Promise<Object|null>} Rating data or null
+     * @param {number|null} yearHint - Release year shown by the platform, if any
+     * @returns {Promise<{status: string, data: Object|null, candidates?: Array<Object>}>}
+     *          Lookup status, rating data and the search candidates it was picked from
      */
-    async fetchFromApi(title, expectedType, cacheKey, retryCount = 0) {
-        LOGGER.group(`IMDBuddy: ApiService#fetchFromApi: ${title} (attempt ${retryCount + 1})`);
+    async fetchFromApi(title, expectedType, cacheKey, yearHint = null) {
+        LOGGER.group(`IMDBuddy: ApiService#fetchFromApi: ${title}`);
         try {
-            const url = `${BASE_CONFIG.API_URL}?query=${encodeURIComponent(title)}`;
-            LOGGER.verbose('IMDBuddy: ApiService#fetchFromApi: API URL:', url);
-            
-            const response = await fetch(url);
-            LOGGER.verbose('IMDBuddy: ApiService#fetchFromApi: API response status:', response.status);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            LOGGER.verbose('IMDBuddy: ApiService#fetchFromApi: API response data:', data);
-            
-            if (!data || !data.titles || data.titles.length === 0) {
-                LOGGER.warn('IMDBuddy: ApiService#fetchFromApi: No results found for:', title);
-                return null;
-            }
-            
-            // Use fuzzy matching to find the best result
-            const bestMatch = FuzzyMatcher.findBestMatch(title, data.titles, expectedType);
-            LOGGER.verbose('IMDBuddy: ApiService#fetchFromApi: Best match found:', bestMatch);
-            
-            if (!bestMatch) {
-                LOGGER.warn('IMDBuddy: ApiService#fetchFromApi: No suitable match found for:', title);
-                return null;
-            }
+            let status = LOOKUP_STATUS.NO_RESULTS;
+            let candidateSummaries;
 
-            const result = {
-                score: bestMatch.result.rating?.aggregateRating ?? 'N/A',
-                votes: this.formatVotes(bestMatch.result.rating?.voteCount) ?? '0',
-                title: bestMatch.result.primaryTitle || bestMatch.result.originalTitle,
-                type: bestMatch.result.type,
-                year: bestMatch.result.startYear,
-                url: `https://www.imdb.com/title/${bestMatch.result.id}/`
-            };
-            LOGGER.verbose('IMDBuddy: ApiService#fetchFromApi: Formatted result:', result);
-            
-            return result;
-            
-        } catch (error) {
-            LOGGER.error(`IMDBuddy: ApiService#fetchFromApi: API Error (attempt ${retryCount + 1}):`, error);
-            
-            // Retry logic for temporary failures
-            if (retryCount < 2 && (error.message.includes('429') || error.message.includes('500'))) {
-                const backoffDelay = Math.pow(2, retryCount) * 1000; // Exponential backoff
-                LOGGER.debug(`IMDBuddy: ApiService#fetchFromApi: Retrying in ${backoffDelay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, backoffDelay));
-                return this.fetchFromApi(title, expectedType, cacheKey, retryCount + 1);
+            for (const provider of RatingProviders.getOrder()) {
+                try {
+                    const candidates = await provider.search(title, expectedType);
+                    LOGGER.verbose(`IMDBuddy: ApiService#fetchFromApi: ${provider.name} returned ${candidates.length} results`);
+
+                    if (candidates.length === 0) {
+                        LOGGER.warn(`IMDBuddy: ApiService#fetchFromApi: No results from ${provider.name} for:`, title);
+                        continue;
+                    }
+
+                    candidateSummaries = this.summarizeCandidates(candidates, provider.key);
+
+                    // Use fuzzy matching to find the best result
+                    const bestMatch = FuzzyMatcher.findBestMatch(title, candidates, expectedType, yearHint);
+                    LOGGER.verbose('IMDBuddy: ApiService#fetchFromApi: Best match found:', bestMatch);
+
+                    if (!bestMatch) {
+                        LOGGER.warn(`IMDBuddy: ApiService#fetchFromApi: No suitable match from ${provider.name} for:`, title);
+                        if (status !== LOOKUP_STATUS.ERROR) status = LOOKUP_STATUS.LOW_SCORE;
+                        continue;
+                    }
+
+                    const result = await provider.normalize(bestMatch.result);
+                    LOGGER.verbose('IMDBuddy: ApiService#fetchFromApi: Formatted result:', result);
+
+                    return { status: LOOKUP_STATUS.FOUND, data: result, candidates: candidateSummaries };
+                } catch (error) {
+                    LOGGER.error(`IMDBuddy: ApiService#fetchFromApi: ${provider.name} request failed:`, error);
+                    // A failure outranks misses so the lookup is retried soon
+                    status = LOOKUP_STATUS.ERROR;
+                }
             }
-            
-            return null;
+
+            return { status, data: null, candidates: candidateSummaries };
         } finally {
             LOGGER.groupEnd();
         }
     },
 
     /**
-     * Format vote counts for display (e.g., 1500000 -> 1.5M)
-     * @param {number} votes - Raw vote count
-     * @returns {string} Formatted vote count
+     * Look a title up by IMDb id across rating providers
+     * @param {string} id - IMDb title id (tt...)
+     * @returns {Promise<{status: string, data: Object|null}>} Lookup status and rating data
      */
-    formatVotes(votes) {
-        if (votes >= 1000000) return (votes / 1000000).toFixed(1) + 'M';
-        if (votes >= 1000) return (votes / 1000).toFixed(1) + 'K';
-        return votes.toString();
-    },
+    async fetchById(id) {
+        LOGGER.group(`IMDBuddy: ApiService#fetchById: ${id}`);
+        try {
+            let status = LOOKUP_STATUS.NO_RESULTS;
 
-    /**
-     * Save cache to storage
-     */
-    async saveCache() {
-        await Storage.set(BASE_CONFIG.STORAGE_KEY, this.cache);
+            for (const provider of RatingProviders.getOrder()) {
+                try {
+                    const result = await provider.getById(id);
+                    if (result) {
+                        return { status: LOOKUP_STATUS.FOUND, data: result };
+                    }
+                    LOGGER.warn(`IMDBuddy: ApiService#fetchById: ${provider.name} has no title for:`, id);
+                } catch (error) {
+                    LOGGER.error(`IMDBuddy: ApiService#fetchById: ${provider.name} request failed:`, error);
+                    status = LOOKUP_STATUS.ERROR;
+                }
+            }
+
+            return { status, data: null };
+        } finally {
+            LOGGER.groupEnd();
+        }
     }
 };
 
@@ -0,0 +1,421 @@
+/**
+ * IMDBuddy - Cache Store Module
+ *
+ * Keeps cache entries under storage keys of their own ("imdb_cache:dune_movie")
+ * instead of one JSON blob, so a lookup writes only its own entry.
+ *
+ * Each namespace has a small index ("imdb_cache_index") with the metadata
+ * needed to expire entries without reading them; the entries themselves
+ * are read lazily, on first use. Writes are batched and stored together
+ * after CACHE_WRITE_DELAY. A namespace still stored as a single blob
+ * under its own key is moved to per-entry keys when it is opened.
+ *
+ * All namespaces share one budget of CACHE_MAX_ENTRIES entries and
+ * CACHE_MAX_BYTES; going over it evicts the least recently used entries.
+ * Index metadata always has the entry's size and lastAccess, next to
+ * what the namespace's describe function adds. The size is the UTF-8
+ * bytes storage.local counts for the entry and its index record. Reads update lastAccess
+ * in memory only; it is stored with the next index write, or after
+ * CACHE_ACCESS_WRITE_DELAY, so a burst of cache hits rewrites the index
+ * once, still before an idle service worker is stopped.
+ */
+
+const CacheStore = {
+    EVICTION_TARGET: 0.9, // Evict down to this share of the budget, so eviction runs rarely
+    QUOTA_EVICTION_SHARE: 0.25, // Share of entries evicted when storage is out of quota
+    namespaces: {}, // namespace -> { index: { key -> metadata }, describe, keep }
+    evictedCount: 0, // Entries evicted since startup
+    entries: new Map(), // storage key -> entry, for entries read or written since startup
+    pendingWrites: new Map(), // storage key -> entry to write, or null to remove
+    dirtyIndexes: new Set(),
+    encoder: new TextEncoder(),
+    touchedIndexes: new Set(), // Namespaces with lastAccess changes not stored yet
+    flushTimer: null,
+    accessTimer: null,
+    flushChain: Promise.resolve(), // Flushes run one after another, so writes land in order
+
+    /**
+     * Load the index of a namespace, moving a legacy blob to per-entry keys
+     * @param {string} namespace - Storage key prefix, also the key of the legacy blob
+     * @param {Object} options - Namespace options
+     * @param {Function} options.describe - Returns the index metadata of an entry
+     * @param {Array<string>} [options.keep] - Keys never evicted
+     * @returns {Promise<number>} Number of entries in the namespace
+     */
+    async open(namespace, { describe, keep = [] }) {
+        const indexKey = this.getIndexKey(namespace);
+        const stored = await Storage.getMany([indexKey]);
+        this.namespaces[namespace] = { index: stored[indexKey] || {}, describe, keep };
+        await this.migrateBlob(namespace);
+        return this.size(namespace);
+    },
+
+    /**
+     * Move the entries of a namespace stored as a single blob to their own keys
+     * The blob is removed only after the entries are written, so an
+     * interrupted migration runs again on the next start.
+     * @param {string} namespace - Namespace, also the key of the legacy blob
+     */
+    async migrateBlob(namespace) {
+        const stored = await Storage.getMany([namespace]);
+        const blob = stored[namespace];
+        if (!blob) return;
+
+        const entries = Object.entries(blob);
+        for (const [key, entry] of entries) {
+            this.set(namespace, key, entry);
+        }
+        await this.flush();
+        await Storage.remove([namespace]);
+        LOGGER.info(`IMDBuddy: CacheStore#migrateBlob: Moved ${entries.length} entries of ${namespace} to their own keys`);
+    },
+
+    /**
+     * Get an entry, reading it from storage on first use
+     * @param {string} namespace - Namespace
+     * @param {string} key - Entry key
+     * @returns {Promise<Object|null>} Entry, or null if there is none
+     */
+    async get(namespace, key) {
+        if (!this.has(namespace, key)) return null;
+
+        const storageKey = this.getStorageKey(namespace, key);
+        if (this.entries.has(storageKey)) return this.entries.get(storageKey);
+
+        const stored = await Storage.getMany([storageKey]);
+        // The entry may have been written or removed during the read
+        if (!this.has(namespace, key)) return null;
+        if (this.entries.has(storageKey)) return this.entries.get(storageKey);
+
+        const entry = stored[storageKey] ?? null;
+        if (entry) this.entries.set(storageKey, entry);
+        return entry;
+    },
+
+    /**
+     * Read every entry of a namespace in one go, e.g. to migrate them
+     * @param {string} namespace - Namespace
+     * @returns {Promise<Object>} Entries by key
+     */
+    async getAll(namespace) {
+        const keys = this.keys(namespace);
+        const stored = await Storage.getMany(keys.map(key => this.getStorageKey(namespace, key)));
+        const entries = {};
+        for (const key of keys) {
+            const storageKey = this.getStorageKey(namespace, key);
+            const entry = this.entries.get(storageKey) ?? stored[storageKey];
+            if (entry) entries[key] = entry;
+        }
+        return entries;
+    },
+
+    /**
+     * Store an entry; it is written with the next batch
+     * @param {string} namespace - Namespace
+     * @param {string} key - Entry key
+     * @param {Object} entry - Entry to store
+     * @param {Object} [options] - { touch: false keeps the entry's place in the LRU order }
+     */
+    set(namespace, key, entry, { touch = true } = {}) {
+        const store = this.namespaces[namespace];
+        const storageKey = this.getStorageKey(namespace, key);
+        const previous = store.index[key];
+        const entryBytes = this.getStoredBytes(storageKey, entry);
+        const meta = {
+            ...store.describe(entry),
+            size: entryBytes,
+            lastAccess: (!touch && previous?.lastAccess) || Date.now()
+        };
+        // Measured with the entry's size in place of the total, a few digits off at most
+        meta.size = entryBytes + this.getStoredBytes('', { [key]: meta });
+        store.index[key] = meta;
+        this.entries.set(storageKey, entry);
+        this.pendingWrites.set(storageKey, entry);
+        this.dirtyIndexes.add(namespace);
+        this.enforceLimits();
+        this.scheduleFlush();
+    },
+
+    /**
+     * Mark an entry as used, so it is evicted later
+     * @param {string} namespace - Namespace
+     * @param {string} key - Entry key
+     */
+    touch(namespace, key) {
+        const meta = this.getMeta(namespace, key);
+        if (!meta) return;
+        meta.lastAccess = Date.now();
+        this.touchedIndexes.add(namespace);
+        if (!this.accessTimer) {
+            this.accessTimer = setTimeout(() => this.flushAccess(), BASE_CONFIG.CACHE_ACCESS_WRITE_DELAY);
+        }
+    },
+
+    /**
+     * Write the indexes whose lastAccess changed since they were last stored
+     * @returns {Promise<void>} Resolves once they are stored
+     */
+    flushAccess() {
+        clearTimeout(this.accessTimer);
+        this.accessTimer = null;
+        this.touchedIndexes.forEach(namespace => this.dirtyIndexes.add(namespace));
+        return this.flush();
+    },
+
+    /**
+     * Remove an entry; it is removed from storage with the next batch
+     * @param {string} namespace - Namespace
+     * @param {string} key - Entry key
+     * @returns {boolean} True if there was an entry
+     */
+    delete(namespace, key) {
+        if (!this.has(namespace, key)) return false;
+
+        const storageKey = this.getStorageKey(namespace, key);
+        delete this.namespaces[namespace].index[key];
+        this.entries.delete(storageKey);
+        this.pendingWrites.set(storageKey, null);
+        this.dirtyIndexes.add(namespace);
+        this.scheduleFlush();
+        return true;
+    },
+
+    /**
+     * Remove every entry of a namespace and write the change right away
+     * @param {string} namespace - Namespace
+     * @returns {Promise<void>}
+     */
+    async clear(namespace) {
+        for (const key of this.keys(namespace)) {
+            this.delete(namespace, key);
+        }
+        await this.flush();
+    },
+
+    /**
+     * Check whether a namespace has an entry, without reading it
+     * @param {string} namespace - Namespace
+     * @param {string} key - Entry key
+     * @returns {boolean} True if the entry exists
+     */
+    has(namespace, key) {
+        return Object.prototype.hasOwnProperty.call(this.namespaces[namespace]?.index || {}, key);
+    },
+
+    /**
+     * Get the index metadata of an entry
+     * @param {string} namespace - Namespace
+     * @param {string} key - Entry key
+     * @returns {Object|null} Metadata from describe, plus size and lastAccess
+     */
+    getMeta(namespace, key) {
+        return this.has(namespace, key) ? this.namespaces[namespace].index[key] : null;
+    },
+
+    /**
+     * Get the keys of every entry in a namespace
+     * @param {string} namespace - Namespace
+     * @returns {Array<string>} Entry keys
+     */
+    keys(namespace) {
+        return Object.keys(this.namespaces[namespace]?.index || {});
+    },
+
+    /**
+     * Count the entries in a namespace
+     * @param {string} namespace - Namespace
+     * @returns {number} Number of entries
+     */
+    size(namespace) {
+        return this.keys(namespace).length;
+    },
+
+    /**
+     * Get the entry count and approximate size of all namespaces together
+     * @returns {{entries: number, bytes: number, maxEntries: number, maxBytes: number, evicted: number}}
+     */
+    getUsage() {
+        let entries = 0;
+        let bytes = 0;
+        for (const { index } of Object.values(this.namespaces)) {
+            for (const meta of Object.values(index)) {
+                entries++;
+                bytes += meta.size || 0;
+            }
+        }
+        return {
+            entries,
+            bytes,
+            maxEntries: BASE_CONFIG.CACHE_MAX_ENTRIES,
+            maxBytes: BASE_CONFIG.CACHE_MAX_BYTES,
+            evicted: this.evictedCount
+        };
+    },
+
+    /**
+     * Evict least recently used entries once the budget is exceeded
+     */
+    enforceLimits() {
+        const { entries, bytes, maxEntries, maxBytes } = this.getUsage();
+        if (entries <= maxEntries && bytes <= maxBytes) return;
+
+        let remainingEntries = entries;
+        let remainingBytes = bytes;
+        let evicted = 0;
+        for (const { namespace, key, meta } of this.getEvictionOrder()) {
+            if (remainingEntries <= maxEntries * this.EVICTION_TARGET &&
+                remainingBytes <= maxBytes * this.EVICTION_TARGET) break;
+            this.delete(namespace, key);
+            remainingEntries--;
+            remainingBytes -= meta.size || 0;
+            evicted++;
+        }
+        this.evictedCount += evicted;
+        LOGGER.info(`IMDBuddy: CacheStore#enforceLimits: Evicted ${evicted} least recently used entries`);
+    },
+
+    /**
+     * Evict a share of the least recently used entries and write the change
+     * Registered as the Storage quota handler, for writes outside the cache.
+     * @returns {Promise<void>}
+     */
+    async freeSpace() {
+        this.evictShare();
+        await this.flush();
+    },
+
+    /**
+     * Evict QUOTA_EVICTION_SHARE of the evictable entries, least recently used first
+     * @returns {number} Number of entries evicted
+     */
+    evictShare() {
+        const candidates = this.getEvictionOrder();
+        const count = Math.ceil(candidates.length * this.QUOTA_EVICTION_SHARE);
+        candidates.slice(0, count).forEach(({ namespace, key }) => this.delete(namespace, key));
+        this.evictedCount += count;
+        LOGGER.warn(`IMDBuddy: CacheStore#evictShare: Evicted ${count} entries to free storage`);
+        return count;
+    },
+
+    /**
+     * List the evictable entries of all namespaces, least recently used first
+     * @returns {Array<{namespace: string, key: string, meta: Object}>} Entries
+     */
+    getEvictionOrder() {
+        const candidates = [];
+        for (const [namespace, { index, keep }] of Object.entries(this.namespaces)) {
+            for (const [key, meta] of Object.entries(index)) {
+                if (!keep.includes(key)) candidates.push({ namespace, key, meta });
+            }
+        }
+        const lastAccess = meta => meta.lastAccess ?? meta.timestamp ?? 0;
+        return candidates.sort((a, b) => lastAccess(a.meta) - lastAccess(b.meta));
+    },
+
+    /**
+     * Write pending changes after CACHE_WRITE_DELAY, with any made meanwhile
+     */
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), BASE_CONFIG.CACHE_WRITE_DELAY);
+    },
+
+    /**
+     * Write pending changes now
+     * @returns {Promise<void>} Resolves once they are stored
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.flushChain = this.flushChain.then(() => this.writePending());
+        return this.flushChain;
+    },
+
+    /**
+     * Store pending removals, then pending entries and changed indexes in one write
+     * When storage is out of quota, entries are evicted and the write is tried once more.
+     * @param {boolean} [retry] - Whether to make room and retry on a quota error
+     */
+    async writePending(retry = true) {
+        if (this.pendingWrites.size === 0 && this.dirtyIndexes.size === 0) return;
+
+        const pendingWrites = new Map(this.pendingWrites);
+        const dirtyIndexes = new Set(this.dirtyIndexes);
+        this.pendingWrites.clear();
+        this.dirtyIndexes.clear();
+
+        const writes = {};
+        const removals = [];
+        for (const [storageKey, entry] of pendingWrites) {
+            if (entry) {
+                writes[storageKey] = entry;
+            } else {
+                removals.push(storageKey);
+            }
+        }
+        for (const namespace of dirtyIndexes) {
+            writes[this.getIndexKey(namespace)] = this.namespaces[namespace].index;
+            // The index carries the lastAccess changes made in memory
+            this.touchedIndexes.delete(namespace);
+        }
+        if (this.touchedIndexes.size === 0) {
+            clearTimeout(this.accessTimer);
+            this.accessTimer = null;
+        }
+
+        try {
+            // Removals first, which frees space for the writes
+            if (removals.length > 0) {
+                await Storage.remove(removals);
+            }
+            await Storage.setMany(writes);
+            LOGGER.verbose(`IMDBuddy: CacheStore#writePending: Wrote ${Object.keys(writes).length} keys, removed ${removals.length}`);
+        } catch (error) {
+            if (!retry || !Storage.isQuotaError(error)) {
+                LOGGER.error('IMDBuddy: CacheStore#writePending: Could not write cache entries:', error);
+                return;
+            }
+
+            // Requeue what didn't land, unless changed since; evicted entries are then removed instead
+            for (const [storageKey, entry] of pendingWrites) {
+                if (entry && !this.pendingWrites.has(storageKey)) this.pendingWrites.set(storageKey, entry);
+            }
+            dirtyIndexes.forEach(namespace => this.dirtyIndexes.add(namespace));
+            this.evictShare();
+            await this.writePending(false);
+        }
+    },
+
+    /**
+     * Measure what a value takes up in storage.local
+     * Storage.setMany stores values as JSON text, which storage.local
+     * serializes once more; the quota counts the UTF-8 bytes of both key and value.
+     * @param {string} key - Storage key
+     * @param {*} value - Value as passed to Storage.setMany
+     * @returns {number} Size in bytes
+     */
+    getStoredBytes(key, value) {
+        return this.encoder.encode(key + JSON.stringify(JSON.stringify(value))).length;
+    },
+
+    /**
+     * Build the storage key of an entry
+     * @param {string} namespace - Namespace
+     * @param {string} key - Entry key
+     * @returns {string} Storage key
+     */
+    getStorageKey(namespace, key) {
+        return `${namespace}:${key}`;
+    },
+
+    /**
+     * Build the storage key of a namespace's index
+     * @param {string} namespace - Namespace
+     * @returns {string} Storage key
+     */
+    getIndexKey(namespace) {
+        return `${namespace}_index`;
+    }
+};
+
+window.CacheStore = CacheStore;
@@ -0,0 +1,160 @@
+/**
+ * IMDBuddy - Card Filter Module
+ *
+ * Dims, blurs or collapses cards whose rating is below the CARD_FILTER
+ * threshold, or whose vote count is too small to trust. Only cards with a
+ * known score are ever filtered: titles without a match, or without a
+ * score, are always left as they are.
+ *
+ * A floating toggle shows how many cards are filtered and lets the user
+ * show them all again with one click.
+ */
+
+const CardFilter = {
+    TOGGLE_DELAY: 100, // ms; cards rendered within it are counted together
+    showAll: false, // Set by the toggle, lasts until the page is reloaded
+    toggle: null,
+    toggleTimer: null,
+
+    /**
+     * Filter or unfilter a card for the rating it shows
+     * @param {HTMLElement} element - The card element
+     * @param {Object|null} rating - Rating shown on the card, null when there is no match
+     * @param {string} platformKey - PLATFORM_CONFIGS key of the current platform
+     */
+    apply(element, rating, platformKey) {
+        const reason = this.isEnabled(platformKey) ? this.getReason(rating) : null;
+
+        if (reason) {
+            element.dataset.imdbFilterReason = reason;
+        } else {
+            delete element.dataset.imdbFilterReason;
+        }
+
+        if (reason && !this.showAll) {
+            element.dataset.imdbFilter = this.getMode();
+        } else {
+            delete element.dataset.imdbFilter;
+        }
+
+        this.scheduleToggleUpdate(platformKey);
+    },
+
+    /**
+     * Remove filtering from a card
+     * @param {HTMLElement} element - The card element
+     */
+    clear(element) {
+        delete element.dataset.imdbFilter;
+        delete element.dataset.imdbFilterReason;
+    },
+
+    /**
+     * Remove filtering from every card and hide the toggle
+     */
+    reset() {
+        clearTimeout(this.toggleTimer);
+        this.toggleTimer = null;
+        document.querySelectorAll('[data-imdb-filter-reason]').forEach(element => this.clear(element));
+        this.toggle?.remove();
+        this.toggle = null;
+    },
+
+    /**
+     * Check whether filtering is turned on for a platform
+     * @param {string} platformKey - PLATFORM_CONFIGS key
+     * @returns {boolean} True if cards should be filtered
+     */
+    isEnabled(platformKey) {
+        const filter = BASE_CONFIG.CARD_FILTER;
+        return filter.enabled && filter.platforms[platformKey] !== false;
+    },
+
+    /**
+     * Get why a rating should be filtered
+     * Ratings without a score are never filtered. Ratings cached before
+     * raw vote counts were stored are only checked against the score.
+     * @param {Object|null} rating - Rating data
+     * @returns {string|null} 'low_score', 'few_votes' or null to show the card
+     */
+    getReason(rating) {
+        const score = parseFloat(rating?.score);
+        if (Number.isNaN(score)) return null;
+
+        const { minScore, minVotes } = BASE_CONFIG.CARD_FILTER;
+        if (score < minScore) return 'low_score';
+        if (typeof rating.voteCount === 'number' && rating.voteCount < minVotes) return 'few_votes';
+        return null;
+    },
+
+    /**
+     * Get the configured filter mode
+     * @returns {string} Key of CARD_FILTER_MODES
+     */
+    getMode() {
+        const mode = BASE_CONFIG.CARD_FILTER.mode;
+        return CARD_FILTER_MODES[mode] ? mode : 'dim';
+    },
+
+    /**
+     * Update the toggle once for a batch of rendered cards
+     * Counting filtered cards scans the document, so it doesn't run per card.
+     * @param {string} platformKey - PLATFORM_CONFIGS key of the current platform
+     */
+    scheduleToggleUpdate(platformKey) {
+        if (this.toggleTimer) return;
+        this.toggleTimer = setTimeout(() => {
+            this.toggleTimer = null;
+            this.updateToggle(platformKey);
+        }, this.TOGGLE_DELAY);
+    },
+
+    /**
+     * Show, update or hide the "show all" toggle
+     * @param {string} platformKey - PLATFORM_CONFIGS key of the current platform
+     */
+    updateToggle(platformKey) {
+        const count = document.querySelectorAll('[data-imdb-filter-reason]').length;
+        if (!this.isEnabled(platformKey) || count === 0) {
+            this.toggle?.remove();
+            this.toggle = null;
+            return;
+        }
+
+        if (!this.toggle) {
+            this.toggle = document.createElement('button');
+            this.toggle.type = 'button';
+            this.toggle.className = 'imdb-filter-toggle';
+            this.toggle.addEventListener('click', () => this.setShowAll(!this.showAll, platformKey));
+            document.body.appendChild(this.toggle);
+        }
+
+        const titles = count === 1 ? 'title' : 'titles';
+        const verb = { dim: 'dimmed', blur: 'blurred', collapse: 'hidden' }[this.getMode()];
+        this.toggle.textContent = this.showAll
+            ? `Hide ${count} low-rated ${titles}`
+            : `${count} low-rated ${titles} ${verb} · Show all`;
+        this.toggle.setAttribute('aria-pressed', String(this.showAll));
+    },
+
+    /**
+     * Show every card, or go back to filtering
+     * @param {boolean} showAll - Whether to show all cards
+     * @param {string} platformKey - PLATFORM_CONFIGS key of the current platform
+     */
+    setShowAll(showAll, platformKey) {
+        this.showAll = showAll;
+        const mode = this.getMode();
+        for (const element of document.querySelectorAll('[data-imdb-filter-reason]')) {
+            if (showAll) {
+                delete element.dataset.imdbFilter;
+            } else {
+                element.dataset.imdbFilter = mode;
+            }
+        }
+        this.updateToggle(platformKey);
+        LOGGER.debug('IMDBuddy: CardFilter#setShowAll:', showAll);
+    }
+};
+
+window.CardFilter = CardFilter;
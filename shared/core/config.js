@@ -2,7 +2,8 @@
  * IMDBuddy - Base Configuration
  * 
  * This file contains all the core configuration settings used across
- * both Chrome and Safari extensions.
+ * both Chrome and Safari extensions. Values listed in USER_SETTINGS
+ * (settings.js) are defaults that users can override on the options page.
  * 
  */
 
@@ -13,27 +14,165 @@ const BASE_CONFIG = {
     DEBUG: true, // Set to false for production
     
     // API settings
-    API_URL: 'https://api.imdbapi.dev/search/titles',
+    PROVIDER_ORDER: ['imdbapi', 'omdb'], // Tried in order until one finds a match
+    PROVIDERS: {
+        imdbapi: { url: 'https://api.imdbapi.dev' },
+        omdb: { url: 'https://www.omdbapi.com', apiKey: '' } // Skipped without an API key
+    },
     REQUEST_DELAY: 110, // Slightly over 100ms to stay safely under 10 req/sec
     MAX_CONCURRENT_REQUESTS: 5, // Allow multiple requests in parallel
     
     // Storage settings
+    SETTINGS_KEY: 'imdbuddy_settings', // User settings in chrome.storage.sync
     STORAGE_KEY: 'imdb_cache',
-    SCHEMA_VERSION_KEY: "imdb_cache_schema_version",
-    SCHEMA_VERSION: 2, // Increment this when changing cache structure
+    SCHEMA_VERSION_KEY: "imdb_cache_schema_version", // Cache entry that held the cache's version before migrations.js
+    SCHEMA_VERSIONS_KEY: 'imdbuddy_schema_versions', // Schema version per storage key, see migrations.js
+    MIGRATIONS_DRY_RUN: false, // Log what migrations would change without writing anything
+    OVERRIDES_KEY: 'imdb_overrides', // Matches pinned by the user, never expire
+    WATCHLIST_KEY: 'imdbuddy_watchlist', // Titles saved from overlays, keyed by IMDb id
+    DETAILS_KEY: 'imdbuddy_details', // Title details and episode lists, keyed by IMDb id
+    CACHE_STATS_KEY: 'imdbuddy_cache_stats', // Cache hits and misses since the cache was last cleared
     CACHE_MAX_AGE: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
+    CACHE_SOFT_MAX_AGE_SHARE: 0.1, // Ratings past this share of CACHE_MAX_AGE (3 of 30 days) are still served, then refreshed by IMDb id in the background
+    NO_MATCH_CACHE_MAX_AGE: 3 * 24 * 60 * 60 * 1000, // 3 days for "no results" and low-score lookups
+    ERROR_CACHE_MAX_AGE: 10 * 60 * 1000, // 10 minutes before a failed lookup is retried
+    DETAILS_CACHE_MAX_AGE: 7 * 24 * 60 * 60 * 1000, // 7 days, so new seasons and episode ratings show up
+    DETAILS_MAX_CAST: 5, // Top-billed cast members shown on the hover card
+    CACHE_WRITE_DELAY: 1000, // Cache entries written within this many ms are stored together
+    CACHE_ACCESS_WRITE_DELAY: 5000, // lastAccess of cache hits is stored at most this often; well under the ~30s an idle MV3 worker lives
+    CACHE_MAX_ENTRIES: 5000, // Lookups and title details together; least recently used are evicted first
+    CACHE_MAX_BYTES: 4 * 1024 * 1024, // Approximate size of those entries, well under the storage.local quota
     
     // Matching settings
     MIN_MATCH_SCORE: 0.7,
+    MAX_CANDIDATES: 10, // Search results kept per lookup for the match picker
+    
+    // Platform settings
+    ENABLED_PLATFORMS: { // Keyed by PLATFORM_CONFIGS key; platforms missing here are enabled
+        hotstar: true,
+        netflix: true,
+        prime: true
+    },
     
     // UI settings
     OBSERVER_DELAY: 3000,
+    MUTATION_DEBOUNCE: 1000, // Quiet time after DOM mutations before added elements are processed
+    MUTATION_MAX_WAIT: 5000, // Longest added elements wait on pages that never stop changing
+    FULL_SWEEP_INTERVAL: 30000, // Full rescan for cards the mutation records didn't reveal
+    NAVIGATION_POLL_INTERVAL: 1000, // URL check for route changes the history hook can't report
+    NEAR_VIEWPORT_MARGIN: '100%', // Cards this close to the viewport are looked up ahead of scrolling
+    COMPACT_OVERLAY_WIDTH: 200, // Containers narrower than this get the compact overlay
+    DETAIL_CARD_DELAY: 400, // Hover time in ms before the detail card opens
+    SHOW_SCORES: { // Which SCORE_SOURCES to show when a provider supplies them
+        imdb: true,
+        metacritic: true,
+        rottenTomatoes: true,
+        rottenTomatoesAudience: true
+    },
+    CARD_FILTER: { // Dim, blur or collapse cards with low or untrusted ratings
+        enabled: false,
+        mode: 'dim', // Key of CARD_FILTER_MODES
+        minScore: 6, // On the IMDb 0-10 scale
+        minVotes: 1000, // Fewer IMDb votes than this is too few to trust the score
+        platforms: { // Keyed by PLATFORM_CONFIGS key; platforms missing here are filtered
+            hotstar: true,
+            netflix: true,
+            prime: true
+        }
+    },
+    OVERLAY_THEME: {
+        colorBands: true, // Color scores by the bands below
+        bands: { low: 6, high: 7.5 }, // On the IMDb 0-10 scale; other sources are scaled to it
+        colors: { low: '#e5484d', medium: '#f5a623', high: '#46a758' },
+        size: 'medium', // Key of OVERLAY_SIZES
+        position: 'top-right', // Key of OVERLAY_POSITIONS
+        platformPositions: {}, // Keyed by PLATFORM_CONFIGS key, overrides position
+        minimal: false // Show only the main score
+    },
     
     // Extension metadata
     VERSION: '3.0.0',
     NAME: 'IMDBuddy'
 };
 
+// Outcome of a lookup, stored with each cache entry to pick its lifetime
+const LOOKUP_STATUS = {
+    FOUND: 'found', // Matched a title
+    NO_RESULTS: 'no_results', // API returned no titles
+    LOW_SCORE: 'low_score', // Best match scored below MIN_MATCH_SCORE
+    ERROR: 'error' // Request failed after retries
+};
+
+// Named scores a rating can carry, in display order
+const SCORE_SOURCES = {
+    imdb: { name: 'IMDb', label: 'IMDb', max: 10, suffix: '' },
+    metacritic: { name: 'Metacritic', label: 'MC', max: 100, suffix: '' },
+    rottenTomatoes: { name: 'Rotten Tomatoes (critics)', label: 'RT', max: 100, suffix: '%' },
+    rottenTomatoesAudience: { name: 'Rotten Tomatoes (audience)', label: 'RT Aud.', max: 100, suffix: '%' }
+};
+
+// Overlay size presets; the scale itself lives in styles.css
+const OVERLAY_SIZES = {
+    small: 'Small',
+    medium: 'Medium',
+    large: 'Large'
+};
+
+// How cards below the CARD_FILTER threshold are shown
+const CARD_FILTER_MODES = {
+    dim: 'Dim',
+    blur: 'Blur',
+    collapse: 'Collapse'
+};
+
+// Card corners the overlay can be placed in
+const OVERLAY_POSITIONS = {
+    'top-left': 'Top left',
+    'top-right': 'Top right',
+    'bottom-left': 'Bottom left',
+    'bottom-right': 'Bottom right'
+};
+
+// Lookup queue priorities, lowest value first. Cards far outside the
+// viewport are not queued at all until they scroll closer.
+const LOOKUP_PRIORITY = {
+    VISIBLE: 0, // In the viewport, or asked for by the user (pickers, detail pages)
+    NEAR: 1, // Within NEAR_VIEWPORT_MARGIN of the viewport
+    REFRESH: 2 // Background refresh of a rating past its soft max age (CACHE_SOFT_MAX_AGE_SHARE)
+};
+
+// Message types exchanged between content scripts, the popup and the
+// background service worker over chrome.runtime messaging
+const MESSAGE_TYPES = {
+    GET_RATING: 'GET_RATING',
+    CANCEL_RATING: 'CANCEL_RATING',
+    PRIORITIZE_RATING: 'PRIORITIZE_RATING',
+    GET_CANDIDATES: 'GET_CANDIDATES',
+    SET_OVERRIDE: 'SET_OVERRIDE',
+    CLEAR_OVERRIDE: 'CLEAR_OVERRIDE',
+    GET_STATS: 'GET_STATS',
+    CLEAR_CACHE: 'CLEAR_CACHE',
+    GET_CACHE_ENTRIES: 'GET_CACHE_ENTRIES',
+    DELETE_CACHE_ENTRY: 'DELETE_CACHE_ENTRY',
+    REFRESH_CACHE_ENTRY: 'REFRESH_CACHE_ENTRY',
+    GET_WATCHLIST: 'GET_WATCHLIST',
+    ADD_TO_WATCHLIST: 'ADD_TO_WATCHLIST',
+    REMOVE_FROM_WATCHLIST: 'REMOVE_FROM_WATCHLIST',
+    EXPORT_DATA: 'EXPORT_DATA',
+    IMPORT_DATA: 'IMPORT_DATA',
+    GET_DETAILS: 'GET_DETAILS',
+    GET_EPISODES: 'GET_EPISODES',
+    // Sent to the content script of a tab
+    TOGGLE_ROW_SORT: 'TOGGLE_ROW_SORT',
+    GET_ROW_SORT_STATE: 'GET_ROW_SORT_STATE',
+    RATING_UPDATED: 'RATING_UPDATED' // Sent to every tab with the content script
+};
+
+// Keyboard shortcuts, declared under "commands" in shared-config.json
+const COMMANDS = {
+    SORT_ROWS: 'sort-rows'
+};
+
 // Debug utility functions
 const LOGGER = {
     verbose: (...args) => {
@@ -69,4 +208,12 @@ const LOGGER = {
 
 // Make available globally for other scripts
 window.BASE_CONFIG = BASE_CONFIG;
+window.LOOKUP_STATUS = LOOKUP_STATUS;
+window.LOOKUP_PRIORITY = LOOKUP_PRIORITY;
+window.SCORE_SOURCES = SCORE_SOURCES;
+window.OVERLAY_SIZES = OVERLAY_SIZES;
+window.OVERLAY_POSITIONS = OVERLAY_POSITIONS;
+window.CARD_FILTER_MODES = CARD_FILTER_MODES;
+window.MESSAGE_TYPES = MESSAGE_TYPES;
+window.COMMANDS = COMMANDS;
 window.LOGGER = LOGGER;
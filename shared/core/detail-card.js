@@ -0,0 +1,178 @@
+/**
+ * IMDBuddy - Detail Card Module
+ *
+ * Popover with the plot, genres, runtime, certificate, director, top cast
+ * and season count of a title. It opens when an overlay is hovered or
+ * focused, loads the details from the background only then, and closes
+ * on Escape or when the pointer and focus leave.
+ */
+
+const DetailCard = {
+    CLOSE_DELAY: 150, // Grace period for moving the pointer from the overlay onto the card
+    card: null,
+    anchor: null,
+    openTimer: null,
+    closeTimer: null,
+    cleanup: null,
+
+    /**
+     * Open the card when an overlay is hovered or focused
+     * @param {HTMLElement} overlay - The overlay element
+     * @param {Object} rating - Rating the overlay shows
+     */
+    attach(overlay, rating) {
+        if (!rating.id) return;
+
+        overlay.addEventListener('mouseenter', () => {
+            clearTimeout(this.closeTimer);
+            if (this.anchor === overlay) return;
+            clearTimeout(this.openTimer);
+            this.openTimer = setTimeout(() => this.open(overlay, rating), BASE_CONFIG.DETAIL_CARD_DELAY);
+        });
+        overlay.addEventListener('mouseleave', () => {
+            clearTimeout(this.openTimer);
+            this.scheduleClose();
+        });
+        overlay.addEventListener('focus', () => this.open(overlay, rating));
+        overlay.addEventListener('focusout', (event) => {
+            // Focus moving to the overlay's own buttons keeps the card open
+            if (!overlay.contains(event.relatedTarget)) this.close();
+        });
+    },
+
+    /**
+     * Show the card for an overlay and load its details
+     * @param {HTMLElement} anchor - Overlay the card belongs to
+     * @param {Object} rating - Rating the overlay shows
+     */
+    async open(anchor, rating) {
+        if (this.anchor === anchor || !anchor.isConnected) return;
+        this.close();
+
+        const card = document.createElement('div');
+        card.className = 'imdb-detail-card';
+        card.id = `imdb-detail-card-${rating.id}`;
+        card.setAttribute('role', 'tooltip');
+        card.addEventListener('mouseenter', () => clearTimeout(this.closeTimer));
+        card.addEventListener('mouseleave', () => this.scheduleClose());
+        // Keep clicks inside the card away from the platform's card handlers
+        card.addEventListener('click', event => event.stopPropagation());
+
+        const header = document.createElement('div');
+        header.className = 'imdb-detail-card-title';
+        header.textContent = rating.year ? `${rating.title} (${rating.year})` : rating.title;
+        const body = document.createElement('div');
+        body.className = 'imdb-detail-card-status';
+        body.textContent = 'Loading details…';
+        card.append(header, body);
+
+        document.body.appendChild(card);
+        MatchPicker.position(card, anchor);
+        anchor.setAttribute('aria-describedby', card.id);
+        this.card = card;
+        this.anchor = anchor;
+
+        const handleKeydown = (event) => {
+            if (event.key === 'Escape') this.close();
+        };
+        document.addEventListener('keydown', handleKeydown, true);
+        this.cleanup = () => document.removeEventListener('keydown', handleKeydown, true);
+
+        let details = null;
+        try {
+            details = await RatingClient.getDetails(rating.id);
+        } catch (error) {
+            LOGGER.error('IMDBuddy: DetailCard#open: Could not load details:', error);
+        }
+
+        // The card may have been closed, or replaced, while loading
+        if (this.card !== card) return;
+        if (details) {
+            body.replaceWith(...this.render(details));
+        } else {
+            body.textContent = 'No details available';
+        }
+        MatchPicker.position(card, anchor);
+        LOGGER.debug('IMDBuddy: DetailCard#open: Showing details for:', rating.id);
+    },
+
+    /**
+     * Close the card if open
+     */
+    close() {
+        clearTimeout(this.openTimer);
+        clearTimeout(this.closeTimer);
+        if (this.cleanup) {
+            this.cleanup();
+            this.cleanup = null;
+        }
+        if (this.card) {
+            this.card.remove();
+            this.card = null;
+        }
+        if (this.anchor) {
+            this.anchor.removeAttribute('aria-describedby');
+            this.anchor = null;
+        }
+    },
+
+    /**
+     * Close the card unless the pointer comes back within CLOSE_DELAY
+     */
+    scheduleClose() {
+        clearTimeout(this.closeTimer);
+        this.closeTimer = setTimeout(() => {
+            // Keyboard users keep the card until focus leaves the overlay
+            if (!this.anchor?.contains(document.activeElement)) this.close();
+        }, this.CLOSE_DELAY);
+    },
+
+    /**
+     * Build the card contents; fields a provider doesn't supply are left out
+     * @param {Object} details - Title details from the background
+     * @returns {Array<HTMLElement>} Card rows
+     */
+    render(details) {
+        const rows = [];
+        const addRow = (className, text) => {
+            if (!text) return;
+            const row = document.createElement('div');
+            row.className = className;
+            row.textContent = text;
+            rows.push(row);
+        };
+
+        addRow('imdb-detail-card-facts', [
+            details.certificate,
+            this.formatRuntime(details.runtime),
+            details.seasons && `${details.seasons} ${details.seasons === 1 ? 'season' : 'seasons'}`,
+            details.genres.join(', ')
+        ].filter(Boolean).join(' · '));
+        addRow('imdb-detail-card-plot', details.plot);
+        if (details.directors.length > 0) {
+            addRow('imdb-detail-card-people', `Director: ${details.directors.join(', ')}`);
+        }
+        if (details.cast.length > 0) {
+            addRow('imdb-detail-card-people', `Cast: ${details.cast.slice(0, BASE_CONFIG.DETAILS_MAX_CAST).join(', ')}`);
+        }
+
+        if (rows.length === 0) {
+            addRow('imdb-detail-card-status', 'No details available');
+        }
+        return rows;
+    },
+
+    /**
+     * Format a runtime for display (e.g., 155 -> "2h 35m")
+     * @param {number|null} minutes - Runtime in minutes
+     * @returns {string|null} Formatted runtime
+     */
+    formatRuntime(minutes) {
+        if (!minutes) return null;
+        const hours = Math.floor(minutes / 60);
+        if (hours === 0) return `${minutes}m`;
+        return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+    }
+};
+
+window.DetailCard = DetailCard;
@@ -0,0 +1,170 @@
+/**
+ * IMDBuddy - Detail Rating Module
+ *
+ * Shows a larger rating block on a title's detail page or modal, where
+ * the decision to press Play is made: every visible score, the vote
+ * count and the IMDb title it was matched to. The block follows the
+ * title as the platform swaps it in place during SPA navigation.
+ *
+ * Runs on every card pass; platforms without a detailPage section, or
+ * pages not matching its urlPattern, are left alone.
+ */
+
+const DetailRating = {
+    block: null,
+    key: null, // Lowercased title the block was rendered for
+    rating: null,
+    pendingKey: null, // Title of the lookup in flight
+
+    /**
+     * Show the rating block if the page is a title's detail page
+     * @param {Object} platform - Current platform { key, config }
+     */
+    async update(platform) {
+        const detailPage = platform.config.detailPage;
+        if (!detailPage || !detailPage.urlPattern.test(window.location.href)) {
+            this.remove();
+            return;
+        }
+
+        const title = TitleExtractor.extractDetailTitle(detailPage);
+        const anchor = this.findAnchor(detailPage);
+        if (!title || !anchor) return;
+
+        const key = title.toLowerCase();
+        if (this.block?.isConnected && this.key === key) return;
+        if (this.pendingKey === key) return;
+
+        this.pendingKey = key;
+        try {
+            const titleData = { title, type: null, year: this.findYear(detailPage), platform: platform.key };
+            const rating = await RatingClient.getRating(titleData);
+
+            // The platform may have moved on to another title while the lookup ran
+            if (TitleExtractor.extractDetailTitle(detailPage)?.toLowerCase() !== key) return;
+
+            this.remove();
+            if (!rating) {
+                LOGGER.debug('IMDBuddy: DetailRating#update: No rating found for:', title);
+                return;
+            }
+            this.key = key;
+            this.rating = rating;
+            this.render(detailPage);
+            LOGGER.verbose('IMDBuddy: DetailRating#update: Added rating block for:', title);
+        } catch (error) {
+            LOGGER.error('IMDBuddy: DetailRating#update: Could not show rating:', error);
+        } finally {
+            this.pendingKey = null;
+        }
+    },
+
+    /**
+     * Find the element the block is inserted after
+     * @param {Object} detailPage - The platform's detailPage configuration
+     * @returns {HTMLElement|null} Anchor element
+     */
+    findAnchor(detailPage) {
+        for (const selector of detailPage.badgeAnchorSelectors) {
+            const element = document.querySelector(selector);
+            if (element) return element;
+        }
+        return null;
+    },
+
+    /**
+     * Get the release year shown on the detail page, if any
+     * @param {Object} detailPage - The platform's detailPage configuration
+     * @returns {number|null} Year hint
+     */
+    findYear(detailPage) {
+        for (const selector of detailPage.yearSelectors || []) {
+            const year = TitleExtractor.parseYear(document.querySelector(selector)?.textContent);
+            if (year) return year;
+        }
+        return null;
+    },
+
+    /**
+     * Insert the block for the current rating, replacing the old one
+     * @param {Object} detailPage - The platform's detailPage configuration
+     */
+    render(detailPage) {
+        const anchor = this.findAnchor(detailPage);
+        if (!anchor || !this.rating) return;
+
+        this.block?.remove();
+        this.block = this.create(this.rating);
+        anchor.after(this.block);
+    },
+
+    /**
+     * Re-render the block after the overlay settings changed
+     * @param {Object} platform - Current platform { key, config }
+     */
+    refresh(platform) {
+        if (this.block?.isConnected) {
+            this.render(platform.config.detailPage);
+        }
+    },
+
+    /**
+     * Create the rating block
+     * @param {Object} rating - Rating data
+     * @returns {HTMLElement} Block element
+     */
+    create(rating) {
+        const theme = BASE_CONFIG.OVERLAY_THEME;
+        const scores = Overlay.getVisibleScores(rating);
+
+        const block = document.createElement('div');
+        block.className = 'imdb-detail-rating';
+        block.setAttribute('role', 'group');
+        block.setAttribute('aria-label', Overlay.describeScores(rating, scores));
+        for (const [band, color] of Object.entries(theme.colors)) {
+            block.style.setProperty(`--imdb-band-${band}`, color);
+        }
+
+        for (const score of scores) {
+            const source = SCORE_SOURCES[score.source];
+            const item = document.createElement('div');
+            item.className = `imdb-detail-rating-score imdb-extra-score-${score.source}`;
+
+            const value = document.createElement('span');
+            value.className = 'imdb-detail-rating-value';
+            value.dataset.band = Overlay.getBand(score);
+            value.textContent = score.source === 'imdb' ? `${score.value}/10` : `${score.value}${source.suffix}`;
+
+            const label = document.createElement('span');
+            label.className = 'imdb-extra-score-label';
+            label.textContent = score.source === 'imdb' ? `IMDb · ${rating.votes} votes` : source.label;
+
+            item.append(value, label);
+            block.appendChild(item);
+        }
+
+        // Shows which title the rating is for, so a wrong match is easy to spot
+        const link = document.createElement('a');
+        link.className = 'imdb-detail-rating-link';
+        link.href = rating.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = `${rating.year ? `${rating.title} (${rating.year})` : rating.title} on IMDb${rating.pinned ? ' · pinned' : ''}`;
+        link.addEventListener('click', event => event.stopPropagation());
+        block.appendChild(link);
+
+        return block;
+    },
+
+    /**
+     * Remove the block and forget the title it was for
+     */
+    remove() {
+        this.block?.remove();
+        this.block = null;
+        this.key = null;
+        this.rating = null;
+    }
+};
+
+window.DetailRating = DetailRating;
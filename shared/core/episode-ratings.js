@@ -0,0 +1,176 @@
+/**
+ * IMDBuddy - Episode Ratings Module
+ *
+ * Adds a rating badge to every episode row on a series detail page, and
+ * a summary of the selected season: its average and its best and worst
+ * episodes. The series is looked up like any card, so a pinned match is
+ * used too, and the season's episodes are then fetched by series id.
+ *
+ * Runs on every card pass; platforms without a detailPage section, or
+ * pages not matching its urlPattern, are left alone.
+ */
+
+const EpisodeRatings = {
+    key: null, // "seriesId:season" of the episodes currently shown
+    episodes: [],
+    pendingKey: null, // "title:season" of the lookup in flight
+
+    /**
+     * Rate the episode rows on the page, if it is a series detail page
+     * @param {Object} platform - Current platform { key, config }
+     */
+    async update(platform) {
+        const detailPage = platform.config.detailPage;
+        if (!detailPage?.episodeSelectors || !detailPage.urlPattern.test(window.location.href)) {
+            this.reset();
+            return;
+        }
+
+        const rows = this.findRows(detailPage);
+        const title = TitleExtractor.extractDetailTitle(detailPage);
+        if (rows.length === 0 || !title) return;
+
+        const season = this.findSeason(detailPage);
+        const lookupKey = `${title.toLowerCase()}:${season}`;
+        if (this.pendingKey === lookupKey) return;
+
+        this.pendingKey = lookupKey;
+        try {
+            const series = await RatingClient.getRating({ title, type: 'series', platform: platform.key });
+            if (!series?.id) {
+                LOGGER.debug('IMDBuddy: EpisodeRatings#update: No series match for:', title);
+                return;
+            }
+
+            const key = `${series.id}:${season}`;
+            if (key !== this.key) {
+                this.clear();
+                this.episodes = await RatingClient.getEpisodes(series.id, season) || [];
+                this.key = key;
+                LOGGER.debug(`IMDBuddy: EpisodeRatings#update: ${this.episodes.length} episodes for ${title} season ${season}`);
+            }
+            this.render(detailPage, season);
+        } catch (error) {
+            LOGGER.error('IMDBuddy: EpisodeRatings#update: Could not load episodes:', error);
+        } finally {
+            this.pendingKey = null;
+        }
+    },
+
+    /**
+     * Find the episode rows shown on the page
+     * @param {Object} detailPage - The platform's detailPage configuration
+     * @returns {Array<HTMLElement>} Episode rows
+     */
+    findRows(detailPage) {
+        return detailPage.episodeSelectors.flatMap(selector => [...document.querySelectorAll(selector)]);
+    },
+
+    /**
+     * Get the season the page shows
+     * @param {Object} detailPage - The platform's detailPage configuration
+     * @returns {number} Season number, 1 when the page has no season picker
+     */
+    findSeason(detailPage) {
+        for (const selector of detailPage.seasonSelectors) {
+            const element = document.querySelector(selector);
+            const season = element && detailPage.extractSeason(element);
+            if (season) return season;
+        }
+        return 1;
+    },
+
+    /**
+     * Badge the rows that don't have a badge yet and update the season summary
+     * Rows the platform re-renders get their badge back on the next pass.
+     * @param {Object} detailPage - The platform's detailPage configuration
+     * @param {number} season - Season shown
+     */
+    render(detailPage, season) {
+        const rows = this.findRows(detailPage);
+        for (const row of rows) {
+            if (row.querySelector('.imdb-episode-badge')) continue;
+
+            const number = detailPage.extractEpisode(row);
+            const episode = this.episodes.find(item => item.episode === number);
+            if (episode) {
+                row.appendChild(this.createBadge(episode));
+            }
+        }
+
+        if (!document.querySelector('.imdb-season-summary')) {
+            const summary = this.createSummary(season);
+            const picker = detailPage.seasonSelectors.map(selector => document.querySelector(selector)).find(Boolean);
+            if (summary && picker) {
+                picker.after(summary);
+            } else if (summary && rows[0]?.parentElement) {
+                rows[0].parentElement.before(summary);
+            }
+        }
+    },
+
+    /**
+     * Create the badge of an episode row
+     * @param {Object} episode - Episode from the background
+     * @returns {HTMLElement} Badge element
+     */
+    createBadge(episode) {
+        const badge = document.createElement('a');
+        badge.className = 'imdb-episode-badge';
+        badge.href = episode.url;
+        badge.target = '_blank';
+        badge.rel = 'noopener noreferrer';
+        // Colored like overlays, from the OVERLAY_THEME bands
+        const band = Overlay.getBand({ source: 'imdb', value: episode.score });
+        if (band !== 'none') {
+            badge.style.setProperty('--imdb-episode-color', BASE_CONFIG.OVERLAY_THEME.colors[band]);
+        }
+        badge.textContent = `IMDb ${episode.score}`;
+        badge.setAttribute('aria-label', `IMDb rating of episode ${episode.episode}: ${episode.score} out of 10`);
+        // The row usually plays the episode when clicked
+        badge.addEventListener('click', event => event.stopPropagation());
+        return badge;
+    },
+
+    /**
+     * Create the summary of the season shown
+     * @param {number} season - Season number
+     * @returns {HTMLElement|null} Summary element, or null when no episode is rated
+     */
+    createSummary(season) {
+        const rated = this.episodes.filter(episode => typeof episode.score === 'number');
+        if (rated.length === 0) return null;
+
+        const average = rated.reduce((sum, episode) => sum + episode.score, 0) / rated.length;
+        const best = rated.reduce((top, episode) => (episode.score > top.score ? episode : top));
+        const worst = rated.reduce((low, episode) => (episode.score < low.score ? episode : low));
+
+        const summary = document.createElement('div');
+        summary.className = 'imdb-season-summary';
+        summary.setAttribute('role', 'note');
+        summary.textContent = [
+            `Season ${season} on IMDb: ${average.toFixed(1)} average`,
+            `best E${best.episode} (${best.score})`,
+            `worst E${worst.episode} (${worst.score})`
+        ].join(' · ');
+        return summary;
+    },
+
+    /**
+     * Remove the badges and the season summary
+     */
+    clear() {
+        document.querySelectorAll('.imdb-episode-badge, .imdb-season-summary').forEach(element => element.remove());
+    },
+
+    /**
+     * Remove everything and forget the episodes shown
+     */
+    reset() {
+        this.clear();
+        this.key = null;
+        this.episodes = [];
+    }
+};
+
+window.EpisodeRatings = EpisodeRatings;
@@ -6,6 +6,17 @@
  * algorithms for optimal accuracy.
  */
 
+// Weights of each signal when ranking candidates in findBestMatch (sum to 1)
+const MATCH_WEIGHTS = {
+    title: 0.55,
+    year: 0.2,
+    type: 0.15,
+    popularity: 0.1
+};
+
+// Years off the hint at which the year signal drops to zero
+const MATCH_YEAR_TOLERANCE = 5;
+
 const FuzzyMatcher = {
     /**
      * Get similarity score between two strings using multiple algorithms
@@ -31,12 +42,18 @@ const FuzzyMatcher = {
 
     /**
      * Normalize string for comparison
+     * Unicode-aware: letters and digits of every script are kept, accents on
+     * Latin letters are dropped ("Amélie" -> "amelie") and combining marks
+     * of other scripts (e.g. Devanagari vowel signs) are preserved.
      * @param {string} str - String to normalize
      * @returns {string} Normalized string
      */
     normalize(str) {
-        return str.toLowerCase()
-            .replace(/[^\w\s]/g, '') // Remove special characters
+        return str.normalize('NFD')
+            .replace(/(\p{Script=Latin})\p{M}+/gu, '$1') // Strip Latin diacritics
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '') // Remove special characters
             .replace(/\s+/g, ' ')     // Normalize spaces
             .trim();
     },
@@ -182,56 +199,129 @@ const FuzzyMatcher = {
 
     /**
      * Find the best match from search results
+     *
+     * Scoring model:
+     * 1. Title similarity (getSimilarity) is a confidence gate: candidates
+     *    below MIN_MATCH_SCORE are never returned. A candidate's similarity is
+     *    the best over its primaryTitle and originalTitle.
+     * 2. Remaining candidates are ranked by a weighted sum (MATCH_WEIGHTS) of
+     *      title      - title similarity, 0..1
+     *      year       - year proximity to the platform's year hint (scoreYear)
+     *      type       - agreement with the expected type (scoreType)
+     *      popularity - log-scaled IMDb vote count (scorePopularity)
+     *    Signals that are unknown (no year hint, no expected type) score a
+     *    neutral 0.5 so they don't favor any candidate.
+     * This lets "Dune • 2021" pick the 2021 film over the 1984 one, and
+     * picks the better-known title when nothing else tells them apart.
+     *
      * @param {string} searchTitle - The title to match against
      * @param {Array} results - Array of search results
      * @param {string|null} expectedType - Expected content type (movie/series)
-     * @returns {Object|null} Best matching result or null
+     * @param {number|null} yearHint - Release year shown by the platform, if any
+     * @returns {Object|null} Best match { result, score, rank, matchedTitle } or null
      */
-    findBestMatch(searchTitle, results, expectedType = null) {
+    findBestMatch(searchTitle, results, expectedType = null, yearHint = null) {
         LOGGER.group('IMDBuddy: FuzzyMatcher#findBestMatch: ' + searchTitle);
         try {
             if (!results || results.length === 0) {
                 LOGGER.verbose("IMDBuddy: FuzzyMatcher#findBestMatch: No results - nothing to match");
                 return null;
             }
-            let filteredResults = results;
-
-            if (expectedType) {
-                const typeFiltered = results.filter(result => {
-                    const resultType = result.titleType?.toLowerCase() || result.type?.toLowerCase();
-                    return resultType === expectedType;
-                });
-                if (typeFiltered.length > 0) {
-                    filteredResults = typeFiltered;
-                    LOGGER.verbose(`IMDBuddy: FuzzyMatcher#findBestMatch: Filtered by type '${expectedType}', ${filteredResults.length} results`);
-                }
-            }
 
             let bestMatch = null;
-            let bestScore = 0;
+            let bestSimilarity = 0;
             
-            for (const result of filteredResults) {
-                if (!result.primaryTitle) continue;
-
-                const title = result.primaryTitle || result.title || '';
-                const score = this.getSimilarity(searchTitle, title);
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestMatch = { result, score };
-                    LOGGER.verbose("IMDBuddy: FuzzyMatcher#findBestMatch: Updating best match to:", bestMatch.result.primaryTitle, "score:", bestScore);
+            for (const result of results) {
+                const titles = this.getCandidateTitles(result);
+                if (titles.length === 0) continue;
+
+                // Localized titles often match originalTitle, not primaryTitle
+                let score = 0;
+                let matchedTitle = null;
+                for (const title of titles) {
+                    const similarity = this.getSimilarity(searchTitle, title);
+                    if (similarity > score) {
+                        score = similarity;
+                        matchedTitle = title;
+                    }
+                }
+                bestSimilarity = Math.max(bestSimilarity, score);
+                if (score < BASE_CONFIG.MIN_MATCH_SCORE) continue;
+
+                const rank = score * MATCH_WEIGHTS.title +
+                    this.scoreYear(result, yearHint) * MATCH_WEIGHTS.year +
+                    this.scoreType(result, expectedType) * MATCH_WEIGHTS.type +
+                    this.scorePopularity(result) * MATCH_WEIGHTS.popularity;
+
+                if (!bestMatch || rank > bestMatch.rank) {
+                    bestMatch = { result, score, rank, matchedTitle };
+                    LOGGER.verbose("IMDBuddy: FuzzyMatcher#findBestMatch: Updating best match to:", result.primaryTitle, result.startYear, "via:", matchedTitle, "score:", score, "rank:", rank);
                 }
             }
 
-            if (bestScore >= BASE_CONFIG.MIN_MATCH_SCORE) {
-                LOGGER.verbose("IMDBuddy: FuzzyMatcher#findBestMatch: Returning best match with score:", bestScore);
+            if (bestMatch) {
+                LOGGER.verbose("IMDBuddy: FuzzyMatcher#findBestMatch: Returning best match with score:", bestMatch.score, "rank:", bestMatch.rank);
                 return bestMatch;
             } else {
-                LOGGER.verbose("IMDBuddy: FuzzyMatcher#findBestMatch: No high-confidence match found, best score:", bestScore);
+                LOGGER.verbose("IMDBuddy: FuzzyMatcher#findBestMatch: No high-confidence match found, best score:", bestSimilarity);
                 return null;
             }
         } finally {
             LOGGER.groupEnd();
         }
+    },
+
+    /**
+     * Get every title a search result is known by
+     * @param {Object} result - Search result
+     * @returns {Array<string>} primaryTitle and originalTitle, without duplicates
+     */
+    getCandidateTitles(result) {
+        const titles = [result.primaryTitle, result.originalTitle, result.title]
+            .filter(title => typeof title === 'string' && title.trim().length > 0);
+        return [...new Set(titles)];
+    },
+
+    /**
+     * Score how close a result's release years are to the year hint
+     * Series match any year they ran (startYear..endYear), since platforms
+     * often show the latest season's year.
+     * @param {Object} result - Search result
+     * @param {number|null} yearHint - Release year shown by the platform
+     * @returns {number} 1 for an exact match down to 0 at MATCH_YEAR_TOLERANCE years off
+     */
+    scoreYear(result, yearHint) {
+        if (!yearHint || !result.startYear) return 0.5;
+
+        const endYear = result.endYear || result.startYear;
+        if (yearHint >= result.startYear && yearHint <= endYear) return 1;
+
+        const distance = yearHint < result.startYear ? result.startYear - yearHint : yearHint - endYear;
+        return Math.max(0, 1 - distance / MATCH_YEAR_TOLERANCE);
+    },
+
+    /**
+     * Score whether a result's type agrees with the expected type
+     * @param {Object} result - Search result
+     * @param {string|null} expectedType - Expected content type (movie/series)
+     * @returns {number} 1 on agreement, 0 on disagreement, 0.5 when unknown
+     */
+    scoreType(result, expectedType) {
+        const resultType = (result.titleType || result.type || '').toLowerCase();
+        if (!expectedType || !resultType) return 0.5;
+
+        const isSeries = resultType.includes('series');
+        return (expectedType === 'series') === isSeries ? 1 : 0;
+    },
+
+    /**
+     * Score a result's popularity from its IMDb vote count
+     * @param {Object} result - Search result
+     * @returns {number} 0..1, reaching 1 at 10 million votes
+     */
+    scorePopularity(result) {
+        const votes = result.rating?.voteCount || 0;
+        return Math.min(1, Math.log10(votes + 1) / 7);
     }
 };
 
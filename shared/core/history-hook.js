@@ -0,0 +1,25 @@
+/**
+ * IMDBuddy - History Hook
+ *
+ * Runs in the page's own JavaScript world (the second content_scripts
+ * entry in shared-config.json), where the platform calls
+ * history.pushState and replaceState. Content scripts run in an isolated
+ * world and never see those calls, so each one is announced with a DOM
+ * event that NavigationTracker listens for.
+ *
+ * Safari doesn't load this file; NavigationTracker polls the URL there.
+ */
+
+// Wrapped in a function so nothing leaks into the page's globals
+(() => {
+    const HISTORY_EVENT = 'imdbuddy:history'; // Keep in sync with NavigationTracker.HISTORY_EVENT
+
+    for (const method of ['pushState', 'replaceState']) {
+        const original = history[method];
+        history[method] = function (...args) {
+            const result = original.apply(this, args);
+            window.dispatchEvent(new Event(HISTORY_EVENT));
+            return result;
+        };
+    }
+})();
@@ -21,13 +21,23 @@ function initializeIMDBuddy() {
         const requiredModules = [
             'BASE_CONFIG', 
             'LOGGER', 
+            'MESSAGE_TYPES', 
             'PLATFORM_CONFIGS', 
+            'Settings', 
             'PlatformDetector', 
             'Storage', 
             'TitleExtractor', 
-            'FuzzyMatcher', 
-            'ApiService', 
+            'RatingClient', 
+            'Watchlist', 
             'Overlay', 
+            'MatchPicker', 
+            'DetailCard', 
+            'DetailRating', 
+            'EpisodeRatings', 
+            'CardFilter', 
+            'RowSorter', 
+            'NavigationTracker', 
+            'ViewportTracker', 
             'StreamingRatings'];
         const missingModules = requiredModules.filter(module => typeof window[module] === 'undefined');
         
@@ -65,10 +75,17 @@ function initializeIMDBuddy() {
 if (typeof chrome !== 'undefined' && chrome.runtime) {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         LOGGER.debug('IMDBuddy: init: Received message:', message);
-        if (message.type === 'CLEAR_CACHE' && window.streamingRatings) {
+        if (message.type === MESSAGE_TYPES.CLEAR_CACHE && window.streamingRatings) {
             LOGGER.debug('IMDBuddy: init: Clearing cache...');
             window.streamingRatings.clearCache();
             sendResponse({ success: true });
+        } else if (message.type === MESSAGE_TYPES.TOGGLE_ROW_SORT && window.streamingRatings) {
+            sendResponse(window.streamingRatings.toggleRowSort());
+        } else if (message.type === MESSAGE_TYPES.GET_ROW_SORT_STATE && window.streamingRatings) {
+            sendResponse({ sorted: RowSorter.isSorted() });
+        } else if (message.type === MESSAGE_TYPES.RATING_UPDATED && window.streamingRatings) {
+            window.streamingRatings.handleRatingUpdate(message.rating);
+            sendResponse({ success: true });
         }
     });
 }
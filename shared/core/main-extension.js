@@ -8,12 +8,28 @@
 const StreamingRatings = {
     // Extension state
     processedElements: new WeakSet(),
+    overlayCards: new WeakMap(), // overlay -> { element, titleData, rating } it was rendered for
+    savedIds: new Set(), // IMDb ids on the watchlist
+    cardTitles: new WeakMap(), // card -> titleData, for cards waiting to come into view
+    cardLookups: new Map(), // card -> { titleData, requestId, priority } of the lookup in flight
+    requestCounter: 0,
     debounceTimer: null,
+    debounceStart: null, // When the oldest unprocessed mutation arrived
+    delayedPassTimer: null,
+    sweepTimer: null,
+    pendingNodes: new Set(), // Elements added since the last incremental pass
+    passStats: { // Time spent per kind of card pass, in ms
+        full: { count: 0, totalTime: 0, maxTime: 0 },
+        incremental: { count: 0, totalTime: 0, maxTime: 0 }
+    },
+    observer: null,
     platform: null,
+    active: false,
 
     /**
      * Initialize the extension
-     * Sets up platform detection, API service, and DOM observation
+     * Sets up platform detection, user settings and DOM observation. Lookups
+     * are served by the background service worker, so there is no API setup here.
      */
     async init() {
         LOGGER.group('IMDBuddy: StreamingRatings#init');
@@ -30,23 +46,220 @@ const StreamingRatings = {
             this.platform = platformData;
             LOGGER.info('IMDBuddy: StreamingRatings#init: Platform detected:', this.platform.config.name);
             
-            // Initialize API service
-            try {
-                await ApiService.init();
-                LOGGER.info('IMDBuddy: StreamingRatings#init: API service initialized');
-            } catch (error) {
-                LOGGER.error('IMDBuddy: StreamingRatings#init: Failed to initialize API service:', error);
+            // Load user settings and follow changes made on the options page
+            await Settings.init();
+            Settings.onChange(changedKeys => this.handleSettingsChange(changedKeys));
+            
+            // Saved titles get a filled watchlist button, also when saved in another tab
+            await this.loadWatchlist();
+            Watchlist.onChange(items => this.handleWatchlistChange(items));
+            
+            // Rescan on SPA route changes, and do no work in hidden tabs
+            NavigationTracker.onRouteChange(route => this.handleRouteChange(route));
+            NavigationTracker.onVisibilityChange(visible => this.handleVisibilityChange(visible));
+            NavigationTracker.start();
+            
+            // Cards are looked up as they come near the viewport
+            ViewportTracker.init((card, priority) => this.handleCardPriority(card, priority));
+            
+            if (!PlatformDetector.isPlatformEnabled(this.platform.key)) {
+                LOGGER.info('IMDBuddy: StreamingRatings#init: Platform disabled in settings:', this.platform.config.name);
                 return;
             }
             
             // Start observing for cards
-            this.startObserver();
+            this.start();
             LOGGER.info('IMDBuddy: StreamingRatings#init: Initialization complete');
         } finally {
             LOGGER.groupEnd();
         }
     },
 
+    /**
+     * Start adding ratings to the page
+     */
+    start() {
+        if (this.active) return;
+        this.active = true;
+        // Hidden tabs start when they are first shown
+        if (!document.hidden) {
+            this.startObserver();
+        }
+    },
+
+    /**
+     * Stop adding ratings and remove the ones already shown
+     */
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        
+        this.stopObserver();
+        this.cancelLookups();
+        ViewportTracker.disconnect();
+        MatchPicker.close();
+        DetailCard.close();
+        DetailRating.remove();
+        EpisodeRatings.reset();
+        CardFilter.reset();
+        RowSorter.restore();
+        
+        document.querySelectorAll('.imdb-rating-overlay').forEach(overlay => overlay.remove());
+        // Forget processed cards so they are picked up again when restarted
+        this.processedElements = new WeakSet();
+        LOGGER.info('IMDBuddy: StreamingRatings#stop: Stopped and removed overlays');
+    },
+
+    /**
+     * Apply settings changed on the options page to the open page
+     * @param {Array<string>} changedKeys - BASE_CONFIG keys that changed
+     */
+    handleSettingsChange(changedKeys) {
+        LOGGER.debug('IMDBuddy: StreamingRatings#handleSettingsChange:', changedKeys);
+        
+        if (changedKeys.includes('ENABLED_PLATFORMS')) {
+            if (PlatformDetector.isPlatformEnabled(this.platform.key)) {
+                this.start();
+            } else {
+                this.stop();
+            }
+        }
+        
+        const overlayKeys = ['SHOW_SCORES', 'OVERLAY_THEME', 'CARD_FILTER'];
+        if (this.active && overlayKeys.some(key => changedKeys.includes(key))) {
+            this.refreshOverlays();
+            DetailRating.refresh(this.platform);
+        }
+    },
+
+    /**
+     * Rescan the page after the platform moved to another route
+     * Popovers and row sorting belong to the old route, and overlays on
+     * cards the platform reused for other titles are removed.
+     * @param {{url: string, previousUrl: string}} route - New and previous URL
+     */
+    handleRouteChange({ url, previousUrl }) {
+        if (!this.active) return;
+        LOGGER.group('IMDBuddy: StreamingRatings#handleRouteChange');
+        try {
+            LOGGER.debug(`IMDBuddy: StreamingRatings#handleRouteChange: ${previousUrl} -> ${url}`);
+            MatchPicker.close();
+            DetailCard.close();
+            RowSorter.restore();
+            this.removeStaleOverlays();
+            // Cards without a match may have been reused for other titles too
+            this.processedElements = new WeakSet();
+            ViewportTracker.prune();
+            
+            this.stopObserver();
+            if (!document.hidden) {
+                this.startObserver();
+            }
+        } finally {
+            LOGGER.groupEnd();
+        }
+    },
+
+    /**
+     * Pause all work while the tab is hidden, and catch up when it is shown
+     * @param {boolean} visible - Whether the tab is visible
+     */
+    handleVisibilityChange(visible) {
+        if (!this.active) return;
+        if (visible) {
+            LOGGER.debug('IMDBuddy: StreamingRatings#handleVisibilityChange: Tab visible, resuming');
+            this.startObserver();
+            // Cards that were in view when the tab was hidden are looked up again
+            for (const card of ViewportTracker.getCards()) {
+                this.handleCardPriority(card, ViewportTracker.getPriority(card));
+            }
+        } else {
+            LOGGER.debug('IMDBuddy: StreamingRatings#handleVisibilityChange: Tab hidden, pausing');
+            this.stopObserver();
+            this.cancelLookups();
+        }
+    },
+
+    /**
+     * Remove overlays whose card now shows another title
+     * SPAs reuse card elements across routes; a reused card gets a new
+     * overlay on the next pass.
+     */
+    removeStaleOverlays() {
+        let removed = 0;
+        for (const overlay of document.querySelectorAll('.imdb-rating-overlay')) {
+            const card = this.overlayCards.get(overlay);
+            if (!card) continue;
+            
+            const current = TitleExtractor.extract(card.element, this.platform.config);
+            if (current?.title === card.titleData.title) continue;
+            
+            overlay.remove();
+            CardFilter.clear(card.element);
+            removed++;
+        }
+        LOGGER.debug(`IMDBuddy: StreamingRatings#removeStaleOverlays: Removed ${removed} stale overlays`);
+    },
+
+    /**
+     * Load the ids of saved titles from the background
+     */
+    async loadWatchlist() {
+        try {
+            const items = await RatingClient.getWatchlist();
+            this.savedIds = new Set(items.map(item => item.id));
+        } catch (error) {
+            LOGGER.warn('IMDBuddy: StreamingRatings#loadWatchlist: Could not load watchlist:', error);
+        }
+    },
+
+    /**
+     * Update overlays when titles are saved or removed anywhere
+     * @param {Array<Object>} items - Current watchlist entries
+     */
+    handleWatchlistChange(items) {
+        const savedIds = new Set(items.map(item => item.id));
+        const previousIds = this.savedIds;
+        this.savedIds = savedIds;
+        
+        if (this.active) {
+            this.refreshOverlays(card => savedIds.has(card.rating.id) !== previousIds.has(card.rating.id));
+        }
+    },
+
+    /**
+     * Save a title to the watchlist, or remove it if already saved
+     * @param {Object} titleData - Extracted title data
+     * @param {Object} rating - Rating currently shown
+     */
+    async toggleSave(titleData, rating) {
+        try {
+            if (this.savedIds.has(rating.id)) {
+                await RatingClient.removeFromWatchlist(rating.id);
+                this.savedIds.delete(rating.id);
+            } else {
+                await RatingClient.addToWatchlist(rating, titleData);
+                this.savedIds.add(rating.id);
+            }
+            this.refreshOverlays(card => card.rating.id === rating.id);
+        } catch (error) {
+            LOGGER.error('IMDBuddy: StreamingRatings#toggleSave: Could not update watchlist:', error);
+        }
+    },
+
+    /**
+     * Re-render overlays from the rating they were created with
+     * @param {Function} [shouldRefresh] - Gets the card of each overlay, all are re-rendered by default
+     */
+    refreshOverlays(shouldRefresh = () => true) {
+        for (const overlay of document.querySelectorAll('.imdb-rating-overlay')) {
+            const card = this.overlayCards.get(overlay);
+            if (card && shouldRefresh(card)) {
+                this.renderRating(card.element, card.titleData, card.rating);
+            }
+        }
+    },
+
     /**
      * Start DOM observation and initial card processing
      */
@@ -54,6 +267,8 @@ const StreamingRatings = {
         LOGGER.group('IMDBuddy: StreamingRatings#startObserver');
         try {
             LOGGER.debug('IMDBuddy: StreamingRatings#startObserver: Starting DOM observation...');
+            // Never leave two observers attached
+            this.stopObserver();
             
             // Process existing cards immediately
             this.processExistingCards();
@@ -62,31 +277,64 @@ const StreamingRatings = {
             this.setupObserver();
             
             // Set up periodic processing (for dynamic content)
-            setTimeout(() => {
+            this.delayedPassTimer = setTimeout(() => {
                 this.processExistingCards();
             }, BASE_CONFIG.OBSERVER_DELAY);
+            
+            // Mutations only reveal added elements; cards the platform fills
+            // in place are caught by a full sweep now and then
+            this.sweepTimer = setInterval(() => {
+                this.processExistingCards();
+            }, BASE_CONFIG.FULL_SWEEP_INTERVAL);
         } finally {
             LOGGER.groupEnd();
         }
     },
 
+    /**
+     * Disconnect the MutationObserver and cancel scheduled passes
+     */
+    stopObserver() {
+        this.observer?.disconnect();
+        this.observer = null;
+        clearTimeout(this.delayedPassTimer);
+        clearInterval(this.sweepTimer);
+        // The full pass run on restart covers them
+        this.clearPendingNodes();
+        LOGGER.verbose('IMDBuddy: StreamingRatings#stopObserver: Observer disconnected');
+    },
+
     /**
      * Set up MutationObserver to watch for new content
-     * Uses debouncing to avoid excessive processing
+     * Collects the added elements and processes just those, debounced
+     * but at least every MUTATION_MAX_WAIT while the page keeps changing
      */
     setupObserver() {
         LOGGER.verbose('IMDBuddy: StreamingRatings#setupObserver: Setting up MutationObserver');
         
-        const observer = new MutationObserver((mutations) => {
+        this.observer = new MutationObserver((mutations) => {
+            for (const mutation of mutations) {
+                for (const node of mutation.addedNodes) {
+                    // Our own overlays and popovers never hold cards
+                    if (node.nodeType === Node.ELEMENT_NODE && !node.matches('[class^="imdb-"]')) {
+                        this.pendingNodes.add(node);
+                    }
+                }
+            }
+            if (this.pendingNodes.size === 0) return;
+            
             LOGGER.debug(`IMDBuddy: StreamingRatings#setupObserver: DOM mutations detected: ${mutations.length}`);
+            const now = Date.now();
+            this.debounceStart ??= now;
+            const delay = Math.min(BASE_CONFIG.MUTATION_DEBOUNCE, this.debounceStart + BASE_CONFIG.MUTATION_MAX_WAIT - now);
             clearTimeout(this.debounceTimer);
             this.debounceTimer = setTimeout(() => {
                 LOGGER.debug('IMDBuddy: StreamingRatings#setupObserver: Processing cards after DOM change');
-                this.processExistingCards();
-            }, 1000);
+                this.processAddedNodes();
+            }, Math.max(delay, 0));
         });
 
-        observer.observe(document.body, { 
+        this.observer.observe(document.body, { 
             childList: true, 
             subtree: true 
         });
@@ -96,55 +344,197 @@ const StreamingRatings = {
 
     /**
      * Process all existing cards on the page
-     * Finds cards and processes them in batches
+     * Finds new cards and hands them to the ViewportTracker; they are
+     * looked up once they come near the viewport.
      */
-    async processExistingCards() {
+    processExistingCards() {
+        // A pass scheduled before stop() may still fire
+        if (!this.active || document.hidden) return;
+        
+        const startTime = performance.now();
         LOGGER.group('IMDBuddy: StreamingRatings#processExistingCards');
         try {
             LOGGER.verbose('IMDBuddy: StreamingRatings#processExistingCards: Processing existing cards...');
+            // The sweep covers every added element still in the page
+            this.clearPendingNodes();
+            const pruned = ViewportTracker.prune();
+            if (pruned > 0) {
+                LOGGER.debug(`IMDBuddy: StreamingRatings#processExistingCards: Forgot ${pruned} removed cards`);
+            }
+            // Detail pages get a rating block, and series pages episode ratings
+            DetailRating.update(this.platform);
+            EpisodeRatings.update(this.platform);
+            
             const cards = this.findCards();
             LOGGER.debug(`IMDBuddy: StreamingRatings#processExistingCards: Found ${cards.length} cards to process`);
             
             if (cards.length === 0) {
                 LOGGER.verbose('IMDBuddy: StreamingRatings#processExistingCards: No cards found');
-                return;
+            } else {
+                this.processBatch(cards);
             }
+            this.recordPass('full', startTime, cards.length);
+        } finally {
+            LOGGER.groupEnd();
+        }
+    },
+
+    /**
+     * Process the cards in or around the elements added since the last pass
+     */
+    processAddedNodes() {
+        const nodes = [...this.pendingNodes];
+        this.clearPendingNodes();
+        if (!this.active || document.hidden) return;
+        
+        const startTime = performance.now();
+        LOGGER.group('IMDBuddy: StreamingRatings#processAddedNodes');
+        try {
+            // A detail modal or episode list may be among the additions
+            DetailRating.update(this.platform);
+            EpisodeRatings.update(this.platform);
             
-            // Process cards in batches to avoid overwhelming the API
-            const batchSize = 10;
-            for (let i = 0; i < cards.length; i += batchSize) {
-                const batch = cards.slice(i, i + batchSize);
-                LOGGER.verbose(`IMDBuddy: StreamingRatings#processExistingCards: Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(cards.length/batchSize)} (${batch.length} cards)`);
-                await this.processBatch(batch);
-                
-                // Small delay between batches
-                if (i + batchSize < cards.length) {
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                }
+            const cards = this.findCardsIn(nodes);
+            LOGGER.debug(`IMDBuddy: StreamingRatings#processAddedNodes: Found ${cards.length} cards in ${nodes.length} added elements`);
+            if (cards.length > 0) {
+                this.processBatch(cards);
             }
-            LOGGER.info('IMDBuddy: StreamingRatings#processExistingCards: Finished processing all cards');
+            this.recordPass('incremental', startTime, cards.length);
         } finally {
             LOGGER.groupEnd();
         }
     },
 
     /**
-     * Process a batch of cards
+     * Drop the added elements waiting for an incremental pass
+     */
+    clearPendingNodes() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = null;
+        this.debounceStart = null;
+        this.pendingNodes.clear();
+    },
+
+    /**
+     * Find the cards in added elements, and the cards enclosing them
+     * @param {Array<HTMLElement>} nodes - Added elements
+     * @returns {Array<HTMLElement>} Card elements without an overlay
+     */
+    findCardsIn(nodes) {
+        const selector = this.platform.config.cardSelectors.join(', ');
+        const cards = new Set();
+        for (const node of nodes) {
+            // Removed again before the pass ran
+            if (!node.isConnected) continue;
+            
+            // Content the platform renders into a card, e.g. a lazy-loaded title
+            const enclosing = node.closest(selector);
+            if (enclosing) cards.add(enclosing);
+            for (const card of node.querySelectorAll(selector)) {
+                cards.add(card);
+            }
+        }
+        return [...cards].filter(card => !Overlay.hasOverlay(card));
+    },
+
+    /**
+     * Record how long a card pass took
+     * @param {string} kind - 'full' or 'incremental'
+     * @param {number} startTime - performance.now() at the start of the pass
+     * @param {number} cardCount - Number of cards the pass found
+     */
+    recordPass(kind, startTime, cardCount) {
+        const duration = performance.now() - startTime;
+        const stats = this.passStats[kind];
+        stats.count++;
+        stats.totalTime += duration;
+        stats.maxTime = Math.max(stats.maxTime, duration);
+        LOGGER.debug(`IMDBuddy: StreamingRatings#recordPass: ${kind} pass took ${duration.toFixed(1)}ms for ${cardCount} cards` +
+            ` (average ${(stats.totalTime / stats.count).toFixed(1)}ms, max ${stats.maxTime.toFixed(1)}ms over ${stats.count} passes)`);
+    },
+
+    /**
+     * Extract the titles of new cards and start tracking their position
      * @param {Array<HTMLElement>} cardBatch - Array of card elements to process
      */
-    async processBatch(cardBatch) {
-        const promises = cardBatch.map(async (card) => {
-            if (this.processedElements.has(card)) return;
+    processBatch(cardBatch) {
+        let tracked = 0;
+        for (const card of cardBatch) {
+            if (this.processedElements.has(card)) continue;
             
             this.processedElements.add(card);
             
             const titleData = TitleExtractor.extract(card, this.platform.config);
             if (titleData) {
-                await this.processCard(card, titleData);
+                // Pinned matches are stored per platform
+                titleData.platform = this.platform.key;
+                this.trackCard(card, titleData);
+                tracked++;
             }
-        });
+        }
+        LOGGER.verbose(`IMDBuddy: StreamingRatings#processBatch: Tracking ${tracked} new cards`);
+    },
+
+    /**
+     * Look a card up once it comes near the viewport
+     * @param {HTMLElement} card - The card element
+     * @param {Object} titleData - Extracted title data
+     */
+    trackCard(card, titleData) {
+        // A reused card may still be waiting on the lookup of its old title
+        const lookup = this.cardLookups.get(card);
+        if (lookup && lookup.titleData.title !== titleData.title) {
+            this.cancelCardLookup(card);
+        }
+        this.cardTitles.set(card, titleData);
+        ViewportTracker.observe(card);
+    },
+
+    /**
+     * Start, reprioritize or cancel a card's lookup as it moves
+     * @param {HTMLElement} card - The card element
+     * @param {number|null} priority - One of LOOKUP_PRIORITY, or null when off-screen
+     */
+    handleCardPriority(card, priority) {
+        const titleData = this.cardTitles.get(card);
+        if (!titleData) return;
+        
+        const lookup = this.cardLookups.get(card);
+        if (priority === null) {
+            // Scrolled away before its turn; looked up again when it comes back
+            if (lookup) this.cancelCardLookup(card);
+            return;
+        }
+        if (!this.active || document.hidden) return;
         
-        await Promise.all(promises);
+        if (!lookup) {
+            this.processCard(card, titleData, priority);
+        } else if (priority < lookup.priority) {
+            // The pending getRating still receives the rating
+            lookup.priority = priority;
+            RatingClient.prioritizeRating(titleData, priority);
+        }
+    },
+
+    /**
+     * Withdraw a card's lookup from the background queue
+     * @param {HTMLElement} card - The card element
+     */
+    cancelCardLookup(card) {
+        const lookup = this.cardLookups.get(card);
+        if (!lookup) return;
+        this.cardLookups.delete(card);
+        RatingClient.cancelRating(lookup.titleData, lookup.requestId);
+        LOGGER.verbose('IMDBuddy: StreamingRatings#cancelCardLookup: Cancelled lookup for:', lookup.titleData.title);
+    },
+
+    /**
+     * Withdraw every card lookup still in flight
+     */
+    cancelLookups() {
+        for (const card of [...this.cardLookups.keys()]) {
+            this.cancelCardLookup(card);
+        }
     },
 
     /**
@@ -178,18 +568,28 @@ const StreamingRatings = {
      * Process a single card - extract title and add rating overlay
      * @param {HTMLElement} element - The card element
      * @param {Object} titleData - Extracted title data
+     * @param {number} [priority] - One of LOOKUP_PRIORITY
      */
-    async processCard(element, titleData) {
+    async processCard(element, titleData, priority = LOOKUP_PRIORITY.VISIBLE) {
         LOGGER.group(`IMDBuddy: StreamingRatings#processCard: ${titleData.title}`);
         try {
             LOGGER.verbose('IMDBuddy: StreamingRatings#processCard: Processing card with title:', titleData.title);
             
-            const rating = await ApiService.getRating(titleData);
+            const requestId = String(++this.requestCounter);
+            this.cardLookups.set(element, { titleData, requestId, priority });
+            const rating = await RatingClient.getRating(titleData, { priority, requestId });
             LOGGER.verbose('IMDBuddy: StreamingRatings#processCard: Received rating:', rating);
 
+            // The lookup may have been cancelled, or replaced by one for a reused card
+            if (this.cardLookups.get(element)?.requestId !== requestId) return;
+            this.cardLookups.delete(element);
+            ViewportTracker.unobserve(element);
+
+            // The platform may have been turned off while the lookup ran
+            if (!this.active) return;
+
             if (rating) {
-                const overlay = Overlay.create(rating);
-                Overlay.addTo(element, overlay, this.platform.config);
+                this.renderRating(element, titleData, rating);
                 LOGGER.verbose('IMDBuddy: StreamingRatings#processCard: Added rating overlay for:', titleData.title);
             } else {
                 LOGGER.debug('IMDBuddy: StreamingRatings#processCard: No rating found for:', titleData.title);
@@ -201,6 +601,147 @@ const StreamingRatings = {
         }
     },
 
+    /**
+     * Render (or re-render) the rating overlay on a card
+     * Also dims or hides the card when its rating is below the CARD_FILTER
+     * threshold. Cards without a match never get here, so they are never filtered.
+     * @param {HTMLElement} element - The card element
+     * @param {Object} titleData - Extracted title data
+     * @param {Object} rating - Rating data
+     */
+    renderRating(element, titleData, rating) {
+        // A detail card open on the old overlay would be left behind
+        if (DetailCard.anchor && element.contains(DetailCard.anchor)) {
+            DetailCard.close();
+        }
+        Overlay.removeOverlay(element);
+        const overlay = Overlay.create(rating, {
+            onFixMatch: (anchor) => this.fixMatch(titleData, rating, anchor),
+            onToggleSave: rating.id ? () => this.toggleSave(titleData, rating) : null,
+            saved: this.savedIds.has(rating.id),
+            platformKey: this.platform.key
+        });
+        overlay.dataset.matchKey = this.getMatchKey(titleData);
+        this.overlayCards.set(overlay, { element, titleData, rating });
+        DetailCard.attach(overlay, rating);
+        Overlay.addTo(element, overlay, this.platform.config);
+        CardFilter.apply(element, rating, this.platform.key);
+    },
+
+    /**
+     * Let the user pick the right title when the match is wrong
+     * @param {Object} titleData - Extracted title data
+     * @param {Object} rating - Rating currently shown
+     * @param {HTMLElement} anchor - Overlay the picker opens from
+     */
+    async fixMatch(titleData, rating, anchor) {
+        LOGGER.group(`IMDBuddy: StreamingRatings#fixMatch: ${titleData.title}`);
+        try {
+            const { candidates, selectedId } = await RatingClient.getCandidates(titleData);
+            DetailCard.close();
+            MatchPicker.open(anchor, {
+                title: titleData.title,
+                candidates,
+                selectedId,
+                pinned: Boolean(rating.pinned),
+                onSelect: async (candidate) => {
+                    this.applyMatch(titleData, await RatingClient.setOverride(titleData, candidate));
+                },
+                onReset: async () => {
+                    this.applyMatch(titleData, await RatingClient.clearOverride(titleData));
+                }
+            });
+        } catch (error) {
+            LOGGER.error('IMDBuddy: StreamingRatings#fixMatch: Could not load candidates:', error);
+        } finally {
+            LOGGER.groupEnd();
+        }
+    },
+
+    /**
+     * Update every card showing a title after its match changed
+     * @param {Object} titleData - Extracted title data
+     * @param {Object|null} rating - Rating for the new match
+     */
+    applyMatch(titleData, rating) {
+        const matchKey = this.getMatchKey(titleData);
+        for (const overlay of document.querySelectorAll('.imdb-rating-overlay')) {
+            const card = this.overlayCards.get(overlay);
+            if (overlay.dataset.matchKey !== matchKey || !card) continue;
+
+            if (rating) {
+                this.renderRating(card.element, card.titleData, rating);
+            } else {
+                overlay.remove();
+                CardFilter.clear(card.element);
+            }
+        }
+        // The detail page block may show the same title
+        if (DetailRating.key === titleData.title.toLowerCase()) {
+            DetailRating.remove();
+            DetailRating.update(this.platform);
+        }
+        LOGGER.info('IMDBuddy: StreamingRatings#applyMatch: Updated match for:', titleData.title, rating?.id);
+    },
+
+    /**
+     * Show a rating the background refreshed on every card and detail block
+     * showing that title, keeping whether the match was pinned
+     * @param {Object} rating - Fresh rating data
+     */
+    handleRatingUpdate(rating) {
+        if (!this.active || !rating?.id) return;
+
+        let updated = 0;
+        for (const overlay of document.querySelectorAll('.imdb-rating-overlay')) {
+            const card = this.overlayCards.get(overlay);
+            if (card?.rating.id !== rating.id) continue;
+            this.renderRating(card.element, card.titleData, { ...rating, pinned: card.rating.pinned });
+            updated++;
+        }
+        if (DetailRating.rating?.id === rating.id) {
+            DetailRating.rating = { ...rating, pinned: DetailRating.rating.pinned };
+            DetailRating.refresh(this.platform);
+            updated++;
+        }
+        LOGGER.verbose(`IMDBuddy: StreamingRatings#handleRatingUpdate: Updated ${updated} overlays for:`, rating.id);
+    },
+
+    /**
+     * Key identifying cards that show the same platform title
+     * @param {Object} titleData - Extracted title data
+     * @returns {string} Match key
+     */
+    getMatchKey(titleData) {
+        return `${titleData.platform}:${titleData.title.toLowerCase().trim()}`;
+    },
+
+    /**
+     * Sort rows by IMDb score, or restore the platform's order if sorted
+     * Exposed for the popup and the keyboard shortcut.
+     * @returns {{sorted: boolean, rows: number}} Sort state after the toggle
+     */
+    toggleRowSort() {
+        if (RowSorter.isSorted()) {
+            RowSorter.restore();
+            return { sorted: false, rows: 0 };
+        }
+
+        const rows = RowSorter.sort(this.platform.config.cardSelectors, card => this.getCardScore(card));
+        return { sorted: rows > 0, rows };
+    },
+
+    /**
+     * Get the IMDb score shown on a card
+     * @param {HTMLElement} card - Card element
+     * @returns {number|null} Score, or null if the card has no rated overlay yet
+     */
+    getCardScore(card) {
+        const overlay = card.querySelector('.imdb-rating-overlay');
+        const score = parseFloat(overlay && this.overlayCards.get(overlay)?.rating.score);
+        return Number.isNaN(score) ? null : score;
+    },
+
     /**
      * Clear cache - exposed for popup interface
      * @returns {Promise<void>}
@@ -208,7 +749,7 @@ const StreamingRatings = {
     async clearCache() {
         LOGGER.group('IMDBuddy: StreamingRatings#clearCache');
         try {
-            await ApiService.clearCache();
+            await RatingClient.clearCache();
             LOGGER.info('IMDBuddy: StreamingRatings#clearCache: Cache cleared');
         } finally {
             LOGGER.groupEnd();
@@ -217,12 +758,13 @@ const StreamingRatings = {
 
     /**
      * Get extension statistics
-     * @returns {Object} Extension statistics
+     * @returns {Promise<Object>} Extension statistics
      */
-    getStats() {
+    async getStats() {
+        const { cacheSize } = await RatingClient.getStats();
         return {
             platform: this.platform?.config?.name || 'Unknown',
-            cacheSize: Object.keys(ApiService.cache || {}).length,
+            cacheSize,
             processedElements: this.processedElements ? 'Available' : 'Not Available'
         };
     },
@@ -0,0 +1,145 @@
+/**
+ * IMDBuddy - Match Picker Module
+ *
+ * Popover that lets the user correct a wrong fuzzy match by picking one
+ * of the other search candidates. The choice is pinned by the caller.
+ */
+
+const MatchPicker = {
+    panel: null,
+    cleanup: null,
+
+    /**
+     * Open the picker next to an overlay
+     * @param {HTMLElement} anchor - Overlay the picker belongs to
+     * @param {Object} options - Picker contents and callbacks
+     * @param {string} options.title - Title as shown on the platform
+     * @param {Array<Object>} options.candidates - Candidate summaries { id, title, year, type, votes }
+     * @param {string|null} options.selectedId - IMDb id of the current match
+     * @param {boolean} options.pinned - Whether the current match is pinned
+     * @param {Function} options.onSelect - Called with the chosen candidate
+     * @param {Function} options.onReset - Called when the user removes the pinned match
+     */
+    open(anchor, { title, candidates, selectedId, pinned, onSelect, onReset }) {
+        this.close();
+
+        const panel = document.createElement('div');
+        panel.className = 'imdb-match-picker';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', `Pick the right title for ${title}`);
+
+        const header = document.createElement('div');
+        header.className = 'imdb-match-picker-header';
+        header.textContent = `Pick the right title for “${title}”`;
+        panel.appendChild(header);
+
+        const list = document.createElement('ul');
+        list.className = 'imdb-match-picker-list';
+        for (const candidate of candidates) {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'imdb-match-picker-option';
+            if (candidate.id === selectedId) {
+                button.classList.add('selected');
+                button.setAttribute('aria-current', 'true');
+            }
+            button.textContent = this.describe(candidate);
+            button.addEventListener('click', () => {
+                this.close();
+                onSelect(candidate);
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        }
+        panel.appendChild(list);
+
+        if (candidates.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'imdb-match-picker-empty';
+            empty.textContent = 'No other titles found';
+            panel.appendChild(empty);
+        }
+
+        if (pinned) {
+            const reset = document.createElement('button');
+            reset.type = 'button';
+            reset.className = 'imdb-match-picker-reset';
+            reset.textContent = 'Use automatic match';
+            reset.addEventListener('click', () => {
+                this.close();
+                onReset();
+            });
+            panel.appendChild(reset);
+        }
+
+        // Keep clicks inside the picker away from the platform's card handlers
+        panel.addEventListener('click', event => event.stopPropagation());
+        document.body.appendChild(panel);
+        this.position(panel, anchor);
+        this.panel = panel;
+
+        const handleKeydown = (event) => {
+            if (event.key === 'Escape') {
+                this.close();
+                anchor.focus();
+            }
+        };
+        const handleOutsideClick = (event) => {
+            if (!panel.contains(event.target)) this.close();
+        };
+        document.addEventListener('keydown', handleKeydown, true);
+        // Defer so the click that opened the picker doesn't close it
+        setTimeout(() => document.addEventListener('click', handleOutsideClick, true), 0);
+        this.cleanup = () => {
+            document.removeEventListener('keydown', handleKeydown, true);
+            document.removeEventListener('click', handleOutsideClick, true);
+        };
+
+        panel.querySelector('button')?.focus();
+        LOGGER.debug('IMDBuddy: MatchPicker#open: Showing', candidates.length, 'candidates for:', title);
+    },
+
+    /**
+     * Close the picker if open
+     */
+    close() {
+        if (this.cleanup) {
+            this.cleanup();
+            this.cleanup = null;
+        }
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    },
+
+    /**
+     * Position the picker below the anchor, kept inside the viewport
+     * @param {HTMLElement} panel - Picker element
+     * @param {HTMLElement} anchor - Overlay the picker belongs to
+     */
+    position(panel, anchor) {
+        const anchorRect = anchor.getBoundingClientRect();
+        const panelRect = panel.getBoundingClientRect();
+        const left = Math.min(anchorRect.left, window.innerWidth - panelRect.width - 8);
+        const fitsBelow = anchorRect.bottom + panelRect.height + 8 <= window.innerHeight;
+        const top = fitsBelow ? anchorRect.bottom + 4 : Math.max(8, anchorRect.top - panelRect.height - 4);
+        panel.style.left = `${Math.max(8, left)}px`;
+        panel.style.top = `${top}px`;
+    },
+
+    /**
+     * Describe a candidate on one line, e.g. "Dune (2021) · movie · 900.0K votes"
+     * @param {Object} candidate - Candidate summary
+     * @returns {string} Description
+     */
+    describe(candidate) {
+        const parts = [candidate.year ? `${candidate.title} (${candidate.year})` : candidate.title];
+        if (candidate.type) parts.push(candidate.type);
+        if (candidate.votes) parts.push(`${candidate.votes} votes`);
+        return parts.join(' · ');
+    }
+};
+
+window.MatchPicker = MatchPicker;
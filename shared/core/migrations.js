@@ -0,0 +1,250 @@
+/**
+ * IMDBuddy - Migrations Module
+ *
+ * Moves stored data to the current schema instead of wiping it. Every
+ * storage key in KEYS has a schema version, recorded in
+ * SCHEMA_VERSIONS_KEY; STEPS transform a key's data from one version to
+ * the next, and run in order at ApiService.init. The current version of
+ * a key is the `to` of its last step, 1 for keys without steps.
+ *
+ * A step has either `migrate(data)`, which gets and returns the key's
+ * whole object, or `migrateEntry(entry, key)`, which is called per entry
+ * and returns the new entry, or null to drop it. Keys kept in the
+ * CacheStore are migrated entry by entry the same way.
+ *
+ * To change a stored format: add a step from the current version to the
+ * next. Caches (DISPOSABLE_KEYS) without a path to the current version
+ * are cleared, since the providers can fill them again; any other key is
+ * left untouched and the gap is logged.
+ */
+
+const Migrations = {
+    KEYS: [
+        BASE_CONFIG.STORAGE_KEY,
+        BASE_CONFIG.DETAILS_KEY,
+        BASE_CONFIG.OVERRIDES_KEY,
+        BASE_CONFIG.WATCHLIST_KEY
+    ],
+    DISPOSABLE_KEYS: [BASE_CONFIG.STORAGE_KEY, BASE_CONFIG.DETAILS_KEY],
+    STEPS: [
+        {
+            key: BASE_CONFIG.STORAGE_KEY,
+            from: 2,
+            to: 3,
+            description: 'Record the lookup status of entries cached before statuses were stored',
+            migrateEntry: entry => (entry.status ? entry : {
+                ...entry,
+                status: entry.data ? LOOKUP_STATUS.FOUND : LOOKUP_STATUS.NO_RESULTS
+            })
+        }
+    ],
+
+    /**
+     * Bring every key in KEYS to its current version
+     * Keys kept in the CacheStore must be opened first.
+     * @param {Object} [options] - Run options
+     * @param {boolean} [options.dryRun] - Log what would change without writing anything
+     * @returns {Promise<Array<Object>>} One report per migrated key:
+     *          { key, from, to, steps, changed, removed, cleared }
+     */
+    async run({ dryRun = false } = {}) {
+        LOGGER.group(`IMDBuddy: Migrations#run${dryRun ? ' (dry run)' : ''}`);
+        try {
+            const versions = await Storage.get(BASE_CONFIG.SCHEMA_VERSIONS_KEY);
+            const reports = [];
+            let versionsChanged = false;
+
+            for (const key of this.KEYS) {
+                const current = this.getCurrentVersion(key);
+                const version = versions[key] ?? await this.detectVersion(key);
+                if (version !== versions[key]) versionsChanged = true;
+                versions[key] = version;
+
+                if (version > current) {
+                    LOGGER.warn(`IMDBuddy: Migrations#run: ${key} is at version ${version}, newer than ${current}; left as is`);
+                    continue;
+                }
+                if (version === current) continue;
+
+                const report = await this.migrateKey(key, version, current, dryRun);
+                reports.push(report);
+                versions[key] = report.to;
+                versionsChanged = true;
+            }
+
+            if (dryRun) {
+                LOGGER.info('IMDBuddy: Migrations#run: Dry run, nothing written:', reports);
+                return reports;
+            }
+            if (versionsChanged) {
+                await Storage.set(BASE_CONFIG.SCHEMA_VERSIONS_KEY, versions);
+            }
+            // The version now lives in SCHEMA_VERSIONS_KEY
+            if (CacheStore.delete(BASE_CONFIG.STORAGE_KEY, BASE_CONFIG.SCHEMA_VERSION_KEY)) {
+                await CacheStore.flush();
+            }
+            if (reports.length > 0) {
+                LOGGER.info('IMDBuddy: Migrations#run: Migrated:', reports);
+            }
+            return reports;
+        } finally {
+            LOGGER.groupEnd();
+        }
+    },
+
+    /**
+     * Run the steps that take one key from a version to another
+     * Each step is written before the next runs; a failing step stops the
+     * key at the last version reached.
+     * @param {string} key - Storage key
+     * @param {number} from - Version the data is at
+     * @param {number} to - Version to reach
+     * @param {boolean} dryRun - Log without writing
+     * @returns {Promise<Object>} Report: { key, from, to, steps, changed, removed, cleared }
+     */
+    async migrateKey(key, from, to, dryRun) {
+        const report = { key, from, to: from, steps: [], changed: 0, removed: 0, cleared: false };
+        let data = null;
+
+        while (report.to < to) {
+            const step = this.STEPS.find(item => item.key === key && item.from === report.to);
+            if (!step) {
+                if (this.DISPOSABLE_KEYS.includes(key)) {
+                    LOGGER.warn(`IMDBuddy: Migrations#migrateKey: No migration from ${key} version ${report.to}, clearing it`);
+                    if (!dryRun) await this.clear(key);
+                    report.cleared = true;
+                    report.to = to;
+                } else {
+                    LOGGER.error(`IMDBuddy: Migrations#migrateKey: No migration from ${key} version ${report.to}, left as is`);
+                }
+                break;
+            }
+
+            try {
+                data ??= await this.load(key);
+                const { data: next, changed, removed } = this.applyStep(step, data);
+                if (!dryRun) await this.save(key, next, changed, removed);
+
+                LOGGER.info(`IMDBuddy: Migrations#migrateKey: ${key} ${step.from} -> ${step.to}: ${step.description}` +
+                    ` (${changed.length} changed, ${removed.length} removed)`);
+                report.steps.push(step.description);
+                report.changed += changed.length;
+                report.removed += removed.length;
+                report.to = step.to;
+                data = next;
+            } catch (error) {
+                LOGGER.error(`IMDBuddy: Migrations#migrateKey: ${key} ${step.from} -> ${step.to} failed:`, error);
+                break;
+            }
+        }
+        return report;
+    },
+
+    /**
+     * Apply one step to a key's data
+     * @param {Object} step - Migration step
+     * @param {Object} data - The key's data, by entry key
+     * @returns {{data: Object, changed: Array<string>, removed: Array<string>}} New data
+     *          and the entry keys that changed or were removed
+     */
+    applyStep(step, data) {
+        let next = step.migrate ? step.migrate(this.clone(data)) : data;
+        if (step.migrateEntry) {
+            const migrated = {};
+            for (const [entryKey, entry] of Object.entries(next)) {
+                const result = step.migrateEntry(this.clone(entry), entryKey);
+                if (result) migrated[entryKey] = result;
+            }
+            next = migrated;
+        }
+
+        const changed = Object.keys(next).filter(entryKey => JSON.stringify(next[entryKey]) !== JSON.stringify(data[entryKey]));
+        const removed = Object.keys(data).filter(entryKey => !Object.prototype.hasOwnProperty.call(next, entryKey));
+        return { data: next, changed, removed };
+    },
+
+    /**
+     * Copy stored data, so a step can't change what it is compared against
+     * Stored data is plain JSON, so a JSON round trip copies all of it.
+     * @param {*} value - Data to copy
+     * @returns {*} Deep copy
+     */
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    },
+
+    /**
+     * Work out the version of a key stored before versions were recorded
+     * The rating cache kept its version in an entry of its own; other data
+     * is at version 1, and empty keys start at the current version.
+     * @param {string} key - Storage key
+     * @returns {Promise<number>} Version
+     */
+    async detectVersion(key) {
+        if (key === BASE_CONFIG.STORAGE_KEY) {
+            const marker = await CacheStore.get(key, BASE_CONFIG.SCHEMA_VERSION_KEY);
+            if (marker) return marker.value;
+        }
+        const data = await this.load(key);
+        return Object.keys(data).length === 0 ? this.getCurrentVersion(key) : 1;
+    },
+
+    /**
+     * Get the version a key's data should be at
+     * @param {string} key - Storage key
+     * @returns {number} The `to` of the key's last step, 1 without steps
+     */
+    getCurrentVersion(key) {
+        return this.STEPS
+            .filter(step => step.key === key)
+            .reduce((version, step) => Math.max(version, step.to), 1);
+    },
+
+    /**
+     * Read all data of a key
+     * @param {string} key - Storage key
+     * @returns {Promise<Object>} Data by entry key
+     */
+    async load(key) {
+        if (!CacheStore.namespaces[key]) return Storage.get(key);
+
+        const entries = await CacheStore.getAll(key);
+        delete entries[BASE_CONFIG.SCHEMA_VERSION_KEY];
+        return entries;
+    },
+
+    /**
+     * Write the data of a key after a step
+     * @param {string} key - Storage key
+     * @param {Object} data - New data by entry key
+     * @param {Array<string>} changed - Entry keys the step changed or added
+     * @param {Array<string>} removed - Entry keys the step removed
+     * @returns {Promise<void>}
+     */
+    async save(key, data, changed, removed) {
+        if (!CacheStore.namespaces[key]) {
+            await Storage.set(key, data);
+            return;
+        }
+
+        // Cache entries are written one by one, keeping their place in the LRU order
+        removed.forEach(entryKey => CacheStore.delete(key, entryKey));
+        changed.forEach(entryKey => CacheStore.set(key, entryKey, data[entryKey], { touch: false }));
+        await CacheStore.flush();
+    },
+
+    /**
+     * Remove all data of a disposable key
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async clear(key) {
+        if (CacheStore.namespaces[key]) {
+            await CacheStore.clear(key);
+        } else {
+            await Storage.set(key, {});
+        }
+    }
+};
+
+window.Migrations = Migrations;
@@ -0,0 +1,103 @@
+/**
+ * IMDBuddy - Navigation Tracker Module
+ *
+ * Tells the extension when the platform's single-page app moves to
+ * another route, and when the tab is hidden or shown again.
+ *
+ * Route changes are detected from popstate and hashchange events, from
+ * pushState/replaceState calls announced by history-hook.js, and by
+ * polling the URL as a fallback where the hook isn't loaded (Safari).
+ * Polling stops while the tab is hidden.
+ */
+
+const NavigationTracker = {
+    HISTORY_EVENT: 'imdbuddy:history', // Dispatched by history-hook.js
+    url: null,
+    pollTimer: null,
+    routeListeners: [],
+    visibilityListeners: [],
+    started: false,
+
+    /**
+     * Start watching the URL and the tab's visibility
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.url = window.location.href;
+
+        const check = () => this.check();
+        window.addEventListener('popstate', check);
+        window.addEventListener('hashchange', check);
+        window.addEventListener(this.HISTORY_EVENT, check);
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+
+        if (!document.hidden) {
+            this.startPolling();
+        }
+        LOGGER.debug('IMDBuddy: NavigationTracker#start: Tracking from:', this.url);
+    },
+
+    /**
+     * Register a listener for route changes
+     * @param {Function} listener - Called with { url, previousUrl }
+     */
+    onRouteChange(listener) {
+        this.routeListeners.push(listener);
+    },
+
+    /**
+     * Register a listener for the tab being hidden or shown
+     * @param {Function} listener - Called with true when the tab becomes visible
+     */
+    onVisibilityChange(listener) {
+        this.visibilityListeners.push(listener);
+    },
+
+    /**
+     * Emit a route change if the URL changed since the last check
+     */
+    check() {
+        const url = window.location.href;
+        if (url === this.url) return;
+
+        const previousUrl = this.url;
+        this.url = url;
+        LOGGER.info('IMDBuddy: NavigationTracker#check: Route changed to:', url);
+        this.routeListeners.forEach(listener => listener({ url, previousUrl }));
+    },
+
+    /**
+     * Pause polling in hidden tabs and catch up on the URL when shown
+     */
+    handleVisibilityChange() {
+        const visible = !document.hidden;
+        if (visible) {
+            // The route may have changed while polling was paused
+            this.check();
+            this.startPolling();
+        } else {
+            this.stopPolling();
+        }
+        LOGGER.debug('IMDBuddy: NavigationTracker#handleVisibilityChange: Visible:', visible);
+        this.visibilityListeners.forEach(listener => listener(visible));
+    },
+
+    /**
+     * Poll the URL every NAVIGATION_POLL_INTERVAL
+     */
+    startPolling() {
+        this.stopPolling();
+        this.pollTimer = setInterval(() => this.check(), BASE_CONFIG.NAVIGATION_POLL_INTERVAL);
+    },
+
+    /**
+     * Stop polling the URL
+     */
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+};
+
+window.NavigationTracker = NavigationTracker;
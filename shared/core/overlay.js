@@ -9,24 +9,81 @@ const Overlay = {
     /**
      * Create an IMDB rating overlay element
      * @param {Object} rating - Rating data containing score, votes, etc.
+     * @param {Object} [options] - Optional actions
+     * @param {Function} [options.onFixMatch] - Called with the overlay when the user
+     *                                          reports a wrong match; adds the fix button
+     * @param {string} [options.platformKey] - PLATFORM_CONFIGS key, picks the overlay position
+     * @param {Function} [options.onToggleSave] - Called when the user saves or unsaves the
+     *                                            title; adds the watchlist button
+     * @param {boolean} [options.saved] - Whether the title is on the watchlist
      * @returns {HTMLElement} The created overlay element
      */
-    create(rating) {
+    create(rating, options = {}) {
         const overlay = document.createElement('div');
-        overlay.className = 'imdb-rating-overlay';
+        overlay.className = rating.pinned ? 'imdb-rating-overlay pinned' : 'imdb-rating-overlay';
         overlay.setAttribute('role', 'button');
-        overlay.setAttribute('aria-label', `IMDb rating: ${rating.score} out of 10, ${rating.votes} votes. Click to view on IMDb.`);
         overlay.setAttribute('tabindex', '0');
         overlay.style.cursor = 'pointer';
         
-        overlay.innerHTML = `
-            <div class="imdb-rating-content">
+        const scores = this.getVisibleScores(rating);
+        const showImdb = scores.some(score => score.source === 'imdb');
+        const extraScores = scores.filter(score => score.source !== 'imdb');
+        overlay.setAttribute('aria-label', `${this.describeScores(rating, scores)}. Click to view on IMDb.`);
+        this.applyTheme(overlay, scores[0], options.platformKey);
+        
+        const content = BASE_CONFIG.OVERLAY_THEME.minimal ? `
+            <div class="imdb-rating-score" data-band="${this.getBand(scores[0])}">${scores[0].value}${SCORE_SOURCES[scores[0].source].suffix}</div>
+        ` : `
+            ${showImdb ? `
                 <div class="imdb-logo">IMDb</div>
-                <div class="imdb-rating-score">${rating.score}</div>
+                <div class="imdb-rating-score" data-band="${this.getBand({ source: 'imdb', value: rating.score })}">${rating.score}</div>
                 <div class="imdb-votes">${rating.votes}</div>
-            </div>
+            ` : ''}
+            ${extraScores.length > 0 ? `
+                <div class="imdb-extra-scores">
+                    ${extraScores.map(score => `
+                        <div class="imdb-extra-score imdb-extra-score-${score.source}">
+                            <span class="imdb-extra-score-label">${SCORE_SOURCES[score.source].label}</span>
+                            <span class="imdb-extra-score-value" data-band="${this.getBand(score)}">${score.value}${SCORE_SOURCES[score.source].suffix}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+        
+        overlay.innerHTML = `
+            <div class="imdb-rating-content">${content}</div>
+            ${options.onFixMatch ? `
+                <button type="button" class="imdb-fix-match"
+                    title="${rating.pinned ? 'Change the pinned title' : 'Wrong title? Pick the right one'}"
+                    aria-label="${rating.pinned ? 'Change the pinned title' : 'Wrong title? Pick the right one'}">⇄</button>
+            ` : ''}
+            ${options.onToggleSave ? `
+                <button type="button" class="imdb-save${options.saved ? ' saved' : ''}"
+                    title="${options.saved ? 'Remove from watchlist' : 'Save to watchlist'}"
+                    aria-label="${options.saved ? 'Remove from watchlist' : 'Save to watchlist'}"
+                    aria-pressed="${options.saved ? 'true' : 'false'}">${options.saved ? '★' : '☆'}</button>
+            ` : ''}
         `;
         
+        const fixButton = overlay.querySelector('.imdb-fix-match');
+        if (fixButton) {
+            fixButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                options.onFixMatch(overlay);
+            });
+        }
+        
+        const saveButton = overlay.querySelector('.imdb-save');
+        if (saveButton) {
+            saveButton.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                options.onToggleSave();
+            });
+        }
+        
         // Add click handler to open IMDB page
         const handleClick = (event) => {
             event.preventDefault();
@@ -40,6 +97,8 @@ const Overlay = {
         // Add both click and keyboard event handlers
         overlay.addEventListener('click', handleClick);
         overlay.addEventListener('keydown', (event) => {
+            // Keys on the overlay's buttons are handled by the buttons themselves
+            if (event.target !== overlay) return;
             if (event.key === 'Enter' || event.key === ' ') {
                 event.preventDefault();
                 handleClick(event);
@@ -60,6 +119,88 @@ const Overlay = {
         return overlay;
     },
 
+    /**
+     * Apply the OVERLAY_THEME settings to an overlay
+     * Size and position are classes mapped to CSS custom properties in
+     * styles.css; the band colors are set as custom properties directly.
+     * @param {HTMLElement} overlay - The overlay element
+     * @param {{source: string, value: number}} mainScore - Score that colors the overlay border
+     * @param {string} [platformKey] - PLATFORM_CONFIGS key of the current platform
+     */
+    applyTheme(overlay, mainScore, platformKey) {
+        const theme = BASE_CONFIG.OVERLAY_THEME;
+        const size = OVERLAY_SIZES[theme.size] ? theme.size : 'medium';
+        
+        overlay.classList.add(`imdb-size-${size}`, `imdb-position-${this.getPosition(platformKey)}`);
+        if (theme.minimal) {
+            overlay.classList.add('minimal');
+        }
+        
+        overlay.dataset.band = this.getBand(mainScore);
+        for (const [band, color] of Object.entries(theme.colors)) {
+            overlay.style.setProperty(`--imdb-band-${band}`, color);
+        }
+    },
+
+    /**
+     * Get the corner to place overlays in on a platform
+     * @param {string} [platformKey] - PLATFORM_CONFIGS key
+     * @returns {string} Key of OVERLAY_POSITIONS
+     */
+    getPosition(platformKey) {
+        const theme = BASE_CONFIG.OVERLAY_THEME;
+        const position = theme.platformPositions[platformKey] || theme.position;
+        return OVERLAY_POSITIONS[position] ? position : 'top-right';
+    },
+
+    /**
+     * Get the color band of a score
+     * Scores are scaled to the IMDb 0-10 range before comparing them
+     * with the OVERLAY_THEME bands.
+     * @param {{source: string, value: number}} score - Score to classify
+     * @returns {string} 'low', 'medium' or 'high', or 'none' when bands are off
+     *                   or the score is unknown (e.g. 'N/A')
+     */
+    getBand(score) {
+        const { colorBands, bands } = BASE_CONFIG.OVERLAY_THEME;
+        const value = parseFloat(score.value);
+        if (!colorBands || Number.isNaN(value)) return 'none';
+        
+        const scaled = value / SCORE_SOURCES[score.source].max * 10;
+        if (scaled < bands.low) return 'low';
+        if (scaled >= bands.high) return 'high';
+        return 'medium';
+    },
+
+    /**
+     * Get the scores to display, honoring the SHOW_SCORES toggles
+     * Falls back to the IMDb score when every supplied source is turned off.
+     * @param {Object} rating - Rating data
+     * @returns {Array<{source: string, value: number}>} Scores to display
+     */
+    getVisibleScores(rating) {
+        // Ratings cached before named scores existed only carry the IMDb score
+        const scores = rating.scores || [{ source: 'imdb', value: rating.score }];
+        const visible = scores.filter(score => SCORE_SOURCES[score.source] && BASE_CONFIG.SHOW_SCORES[score.source]);
+        return visible.length > 0 ? visible : [{ source: 'imdb', value: rating.score }];
+    },
+
+    /**
+     * Describe the displayed scores for screen readers
+     * @param {Object} rating - Rating data
+     * @param {Array<{source: string, value: number}>} scores - Scores being displayed
+     * @returns {string} Accessible description
+     */
+    describeScores(rating, scores) {
+        return scores.map(score => {
+            if (score.source === 'imdb') {
+                return `IMDb rating: ${rating.score} out of 10, ${rating.votes} votes`;
+            }
+            const source = SCORE_SOURCES[score.source];
+            return `${source.label}: ${score.value} out of ${source.max}`;
+        }).join(', ');
+    },
+
     /**
      * Add overlay to a streaming platform card
      * @param {HTMLElement} element - The card element
@@ -72,6 +213,12 @@ const Overlay = {
         if (container) {
             // Ensure container has relative positioning for overlay
             container.style.position = 'relative';
+            
+            // Small thumbnails get a tighter layout; zero width means not laid out yet
+            const width = container.getBoundingClientRect().width;
+            if (width > 0 && width < BASE_CONFIG.COMPACT_OVERLAY_WIDTH) {
+                overlay.classList.add('compact');
+            }
             container.appendChild(overlay);
             
             // Debug logging
@@ -36,6 +36,15 @@ const PlatformDetector = {
         return isSupported;
     },
 
+    /**
+     * Check if the user has the platform enabled in settings
+     * @param {string} key - Platform key in PLATFORM_CONFIGS
+     * @returns {boolean} True unless the platform was turned off
+     */
+    isPlatformEnabled(key) {
+        return BASE_CONFIG.ENABLED_PLATFORMS[key] !== false;
+    },
+
     /**
      * Get supported platform names
      * @returns {Array<string>} Array of supported platform names
@@ -7,9 +7,17 @@
  * 
  * To add support for a new streaming service:
  * 1. Add a new configuration object with the platform key
- * 2. Specify hostnames, selectors, and extraction logic
- * 3. Test the selectors on the target streaming platform
- * 4. Update the host_permissions in shared-config.json
+ * 2. Specify hostnames, selectors, and extraction logic. extractTitle
+ *    returns { title, type, year } where type ('movie'/'series') and year
+ *    are optional hints that help pick between same-named titles
+ * 3. Optionally add a detailPage section for the platform's title detail
+ *    and player pages: a urlPattern, titleSelectors, optional yearSelectors
+ *    and badgeAnchorSelectors (the rating block is inserted after the first
+ *    match). Series pages can add seasonSelectors/episodeSelectors with
+ *    extractSeason/extractEpisode (each returns a number or null) for
+ *    episode ratings
+ * 4. Test the selectors on the target streaming platform
+ * 5. Update the host_permissions in shared-config.json
  * 
  */
 
@@ -100,6 +108,33 @@ const PLATFORM_CONFIGS = {
                 }
             }
             return null;
+        },
+        detailPage: {
+            // Detail and player pages of shows and movies, e.g. /in/shows/<name>/<id>
+            urlPattern: /\/(shows|movies)\//,
+            titleSelectors: [
+                '[data-testid="hero-title"]',
+                '[data-testid="title-logo"] img[alt]',
+                '[data-testid="player-title"]',
+                'h1'
+            ],
+            badgeAnchorSelectors: [
+                '[data-testid="hero-metadata"]',
+                '[data-testid="title-logo"]',
+                '[data-testid="player-title"]'
+            ],
+            seasonSelectors: [
+                '[data-testid="season-selector"] [aria-selected="true"]',
+                '[role="tablist"] [role="tab"][aria-selected="true"]'
+            ],
+            episodeSelectors: [
+                '[data-testid="episode-card"]',
+                '[data-testid="episode-list"] [data-testid="action"]'
+            ],
+            // Season tabs read "Season 2"
+            extractSeason: (element) => parseInt(element.textContent.match(/\d+/)?.[0], 10) || null,
+            // Episode cards are labelled "S1 E3"
+            extractEpisode: (row) => parseInt(row.textContent.match(/\bE(\d+)\b/)?.[1], 10) || null
         }
     },
 
@@ -132,9 +167,11 @@ const PLATFORM_CONFIGS = {
             if (linkWithAriaLabel) {
                 const ariaLabel = linkWithAriaLabel.getAttribute('aria-label');
                 if (ariaLabel && ariaLabel.trim().length > 0) {
+                    const [title, year] = ariaLabel.split('•').map(s => s.trim());
                     return {
-                        title: ariaLabel.trim(),
-                        type: null // Netflix doesn't clearly distinguish in DOM
+                        title,
+                        type: null, // Netflix doesn't clearly distinguish in DOM
+                        year
                     };
                 }
             }
@@ -151,12 +188,43 @@ const PLATFORM_CONFIGS = {
                 
                 if (!title) continue;
 
+                const [mainTitle, year] = title.split('•').map(s => s.trim()); // Netflix format: "Title • Year"
                 return {
-                    title: title.split('•')[0].trim(), // Netflix format: "Title • Year"
-                    type: null // Netflix doesn't clearly distinguish in DOM
+                    title: mainTitle,
+                    type: null, // Netflix doesn't clearly distinguish in DOM
+                    year
                 };
             }
             return null;
+        },
+        detailPage: {
+            // The detail modal opens on /browse?jbv=<id>, or on /title/<id> when
+            // linked directly; the player is /watch/<id>
+            urlPattern: /[?&]jbv=\d+|\/title\/\d+|\/watch\/\d+/,
+            titleSelectors: [
+                '.previewModal--player-titleTreatment-logo[alt]',
+                '.about-header strong',
+                '[data-uia="video-title"] h4',
+                '[data-uia="video-title"]'
+            ],
+            yearSelectors: [
+                '.previewModal--detailsMetadata .year'
+            ],
+            badgeAnchorSelectors: [
+                '.previewModal--detailsMetadata-info .videoMetadata--container',
+                '.previewModal--player-titleTreatmentWrapper',
+                '[data-uia="video-title"]'
+            ],
+            seasonSelectors: [
+                '.episodeSelector-dropdown [data-uia="dropdown-toggle"]',
+                '.episodeSelector-label'
+            ],
+            episodeSelectors: [
+                '.episode-item'
+            ],
+            // Shows with one season have no dropdown, only an "Episodes" label
+            extractSeason: (element) => parseInt(element.textContent.match(/\d+/)?.[0], 10) || 1,
+            extractEpisode: (row) => parseInt(row.querySelector('.titleCard-title_index')?.textContent, 10) || null
         }
     },
 
@@ -191,6 +259,23 @@ const PLATFORM_CONFIGS = {
                 return { title, type: null };
             }
             return null;
+        },
+        detailPage: {
+            // Detail pages such as /detail/<id>; the player opens on top of them
+            urlPattern: /\/detail\//,
+            titleSelectors: [
+                '.atvwebplayersdk-title-text',
+                '[data-automation-id="title"]',
+                'h1'
+            ],
+            yearSelectors: [
+                '[data-automation-id="release-year-badge"]'
+            ],
+            badgeAnchorSelectors: [
+                '.atvwebplayersdk-title-text',
+                '[data-automation-id="meta-info"]',
+                '[data-automation-id="title"]'
+            ]
         }
     }
 };
@@ -0,0 +1,198 @@
+/**
+ * IMDBuddy - Rating Client Module
+ *
+ * Content-script side of the rating lookup. Forwards requests to the
+ * background service worker, which owns the API queue, rate limiter
+ * and cache for all tabs.
+ */
+
+const RatingClient = {
+    /**
+     * Get rating for a title from the background service worker
+     * @param {Object} titleData - Object containing title and type
+     * @param {Object} [options] - { priority: LOOKUP_PRIORITY value, requestId: id for cancelRating }
+     * @returns {Promise<Object|null>} Rating data or null
+     */
+    async getRating(titleData, { priority, requestId } = {}) {
+        LOGGER.debug('IMDBuddy: RatingClient#getRating: Requesting rating for:', titleData);
+        try {
+            const response = await this.sendMessage({ type: MESSAGE_TYPES.GET_RATING, titleData, priority, requestId });
+            return response.rating ?? null;
+        } catch (error) {
+            LOGGER.error('IMDBuddy: RatingClient#getRating: Lookup failed:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Withdraw a queued lookup that is no longer needed
+     * The lookup still runs if another tab or card is waiting on it.
+     * @param {Object} titleData - Object containing title and platform
+     * @param {string} requestId - The requestId passed to getRating
+     * @returns {Promise<boolean>} True if the lookup was dropped from the queue
+     */
+    async cancelRating(titleData, requestId) {
+        try {
+            const response = await this.sendMessage({ type: MESSAGE_TYPES.CANCEL_RATING, titleData, requestId });
+            return response.cancelled ?? false;
+        } catch (error) {
+            LOGGER.error('IMDBuddy: RatingClient#cancelRating: Could not cancel lookup:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Move a queued lookup up, e.g. when its card scrolls into view
+     * @param {Object} titleData - Object containing title and platform
+     * @param {number} priority - One of LOOKUP_PRIORITY
+     * @returns {Promise<boolean>} True if the lookup was moved up
+     */
+    async prioritizeRating(titleData, priority) {
+        try {
+            const response = await this.sendMessage({ type: MESSAGE_TYPES.PRIORITIZE_RATING, titleData, priority });
+            return response.prioritized ?? false;
+        } catch (error) {
+            LOGGER.error('IMDBuddy: RatingClient#prioritizeRating: Could not reprioritize lookup:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Get the search candidates a title could match, for the match picker
+     * @param {Object} titleData - Object containing title, type, year and platform
+     * @returns {Promise<{candidates: Array<Object>, selectedId: string|null}>}
+     */
+    async getCandidates(titleData) {
+        const { candidates, selectedId } = await this.sendMessage({ type: MESSAGE_TYPES.GET_CANDIDATES, titleData });
+        return { candidates, selectedId };
+    },
+
+    /**
+     * Pin a candidate as the match for a platform title
+     * @param {Object} titleData - Object containing title and platform
+     * @param {Object} candidate - Candidate summary from getCandidates
+     * @returns {Promise<Object|null>} Rating for the pinned title
+     */
+    async setOverride(titleData, candidate) {
+        const response = await this.sendMessage({ type: MESSAGE_TYPES.SET_OVERRIDE, titleData, candidate });
+        return response.rating ?? null;
+    },
+
+    /**
+     * Remove a pinned match so the automatic match is used again
+     * @param {Object} titleData - Object containing title and platform
+     * @returns {Promise<Object|null>} Rating from the automatic match
+     */
+    async clearOverride(titleData) {
+        const response = await this.sendMessage({ type: MESSAGE_TYPES.CLEAR_OVERRIDE, titleData });
+        return response.rating ?? null;
+    },
+
+    /**
+     * Get the full title record for the detail card
+     * @param {string} id - IMDb id
+     * @returns {Promise<Object|null>} Title details or null
+     */
+    async getDetails(id) {
+        const response = await this.sendMessage({ type: MESSAGE_TYPES.GET_DETAILS, id });
+        return response.details ?? null;
+    },
+
+    /**
+     * Get the rated episodes of one season of a series
+     * @param {string} id - IMDb id of the series
+     * @param {number} season - Season number
+     * @returns {Promise<Array<Object>|null>} Episodes or null
+     */
+    async getEpisodes(id, season) {
+        const response = await this.sendMessage({ type: MESSAGE_TYPES.GET_EPISODES, id, season });
+        return response.episodes ?? null;
+    },
+
+    /**
+     * Get cache statistics from the background service worker
+     * @returns {Promise<Object>} Statistics object
+     */
+    async getStats() {
+        return this.sendMessage({ type: MESSAGE_TYPES.GET_STATS });
+    },
+
+    /**
+     * Clear the shared rating cache
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        await this.sendMessage({ type: MESSAGE_TYPES.CLEAR_CACHE });
+    },
+
+    /**
+     * Get every title on the watchlist
+     * @returns {Promise<Array<Object>>} Watchlist entries, most recently added first
+     */
+    async getWatchlist() {
+        const response = await this.sendMessage({ type: MESSAGE_TYPES.GET_WATCHLIST });
+        return response.items;
+    },
+
+    /**
+     * Save the title a rating belongs to on the watchlist
+     * @param {Object} rating - Rating shown on the overlay
+     * @param {Object} titleData - Title data the rating was looked up for
+     * @returns {Promise<Object>} The stored watchlist entry
+     */
+    async addToWatchlist(rating, titleData) {
+        const response = await this.sendMessage({ type: MESSAGE_TYPES.ADD_TO_WATCHLIST, rating, titleData });
+        return response.entry;
+    },
+
+    /**
+     * Remove a title from the watchlist
+     * @param {string} id - IMDb id
+     * @returns {Promise<void>}
+     */
+    async removeFromWatchlist(id) {
+        await this.sendMessage({ type: MESSAGE_TYPES.REMOVE_FROM_WATCHLIST, id });
+    },
+
+    /**
+     * Get the watchlist and pinned matches for export
+     * @returns {Promise<{items: Array<Object>, overrides: Object}>}
+     */
+    async exportData() {
+        const { items, overrides } = await this.sendMessage({ type: MESSAGE_TYPES.EXPORT_DATA });
+        return { items, overrides };
+    },
+
+    /**
+     * Merge imported watchlist entries and pinned matches
+     * @param {{items: Array<Object>, overrides: Object}} data - Parsed import
+     * @returns {Promise<{watchlist: Object, overrides: Object}>} Merge reports
+     */
+    async importData({ items, overrides }) {
+        const { watchlist, overrides: overrideReport } = await this.sendMessage({ type: MESSAGE_TYPES.IMPORT_DATA, items, overrides });
+        return { watchlist, overrides: overrideReport };
+    },
+
+    /**
+     * Send a message to the background service worker
+     * @param {Object} message - Message with a MESSAGE_TYPES type
+     * @returns {Promise<Object>} Response payload
+     */
+    sendMessage(message) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else if (!response) {
+                    reject(new Error(`No response for ${message.type}`));
+                } else if (response.error) {
+                    reject(new Error(response.error));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+};
+
+window.RatingClient = RatingClient;
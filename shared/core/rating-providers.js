@@ -0,0 +1,356 @@
+/**
+ * IMDBuddy - Rating Providers Module
+ *
+ * Rating sources that ApiService can look titles up in. Every provider
+ * implements the same interface so they can be tried in PROVIDER_ORDER:
+ *
+ *   isAvailable()         - Whether the provider can be used (e.g. has an API key)
+ *   search(title, type)   - Candidate titles in the shape FuzzyMatcher expects:
+ *                           { id, primaryTitle, originalTitle, type, startYear, rating }
+ *                           where originalTitle is optional and used to match
+ *                           localized titles
+ *   getById(id)           - Rating object for an IMDb id, or null if unknown
+ *   normalize(candidate)  - Rating object for the matched candidate:
+ *                           { score, votes, voteCount, title, type, year, url, id, scores }
+ *                           where votes is formatted for display, voteCount is
+ *                           the raw number and scores lists every named score
+ *                           the provider supplies (see SCORE_SOURCES in config.js)
+ *   getDetails(id)        - Full title record for the detail card, or null if unknown:
+ *                           { id, plot, genres, runtime, certificate, directors, cast, seasons }
+ *                           where runtime is in minutes, directors and cast are
+ *                           lists of names and seasons is null for non-series
+ *   getEpisodes(id, season) - Episodes of a series season, or null if unknown:
+ *                           [{ id, season, episode, title, score, voteCount, url }]
+ *                           where score is 'N/A' for unrated episodes
+ *
+ * Providers return an empty array when a search has no results and throw
+ * when a request fails, so callers can tell the two apart.
+ *
+ * To add a new provider:
+ * 1. Add an entry below implementing the interface
+ * 2. Add its settings under BASE_CONFIG.PROVIDERS and its key to PROVIDER_ORDER
+ * 3. Add its host to host_permissions in shared-config.json
+ */
+
+const RATING_PROVIDERS = {
+    /**
+     * imdbapi.dev - free, keyless IMDb mirror
+     * Search results already carry ratings, so normalize needs no request.
+     */
+    imdbapi: {
+        name: 'imdbapi.dev',
+        isAvailable: () => true,
+        async search(title) {
+            const url = `${BASE_CONFIG.PROVIDERS.imdbapi.url}/search/titles?query=${encodeURIComponent(title)}`;
+            const data = await RatingProviders.fetchJson(url);
+            return data?.titles || [];
+        },
+        async getById(id) {
+            const data = await RatingProviders.fetchJson(`${BASE_CONFIG.PROVIDERS.imdbapi.url}/titles/${encodeURIComponent(id)}`);
+            return data?.id ? RATING_PROVIDERS.imdbapi.normalize(data) : null;
+        },
+        async getDetails(id) {
+            const url = `${BASE_CONFIG.PROVIDERS.imdbapi.url}/titles/${encodeURIComponent(id)}`;
+            const data = await RatingProviders.fetchJson(url);
+            if (!data?.id) return null;
+
+            // Certificates and seasons are separate endpoints; the card is
+            // still useful without them
+            const isSeries = /series/i.test(data.type || '');
+            const [certificates, seasons] = await Promise.all([
+                RatingProviders.fetchJson(`${url}/certificates`).catch(() => null),
+                isSeries ? RatingProviders.fetchJson(`${url}/seasons`).catch(() => null) : null
+            ]);
+            // OMDb only knows US certificates, so prefer them for consistency
+            const certificate = certificates?.certificates?.find(item => item.country?.code === 'US')
+                || certificates?.certificates?.[0];
+
+            return {
+                id: data.id,
+                plot: data.plot || null,
+                genres: data.genres || [],
+                runtime: data.runtimeSeconds ? Math.round(data.runtimeSeconds / 60) : null,
+                certificate: certificate?.rating || null,
+                directors: (data.directors || []).map(person => person.displayName),
+                cast: (data.stars || []).map(person => person.displayName),
+                seasons: seasons?.seasons?.length || null
+            };
+        },
+        async getEpisodes(id, season) {
+            const episodes = [];
+            let pageToken = null;
+            // Long seasons come in pages; a few pages cover any real season.
+            // Pages are fetched one by one, each waiting on the rate limiter.
+            for (let page = 0; page < 5; page++) {
+                const params = new URLSearchParams({ season });
+                if (pageToken) params.set('pageToken', pageToken);
+                const data = await RatingProviders.fetchJson(
+                    `${BASE_CONFIG.PROVIDERS.imdbapi.url}/titles/${encodeURIComponent(id)}/episodes?${params}`
+                );
+                episodes.push(...(data?.episodes || []));
+                pageToken = data?.nextPageToken;
+                if (!pageToken) break;
+            }
+            if (episodes.length === 0) return null;
+
+            return episodes.map(episode => ({
+                id: episode.id,
+                season: parseInt(episode.season, 10) || season,
+                episode: episode.episodeNumber ?? null,
+                title: episode.title || null,
+                score: episode.rating?.aggregateRating ?? 'N/A',
+                voteCount: episode.rating?.voteCount ?? null,
+                url: RatingProviders.getImdbUrl(episode.id)
+            }));
+        },
+        async normalize(candidate) {
+            return {
+                score: candidate.rating?.aggregateRating ?? 'N/A',
+                votes: RatingProviders.formatVotes(candidate.rating?.voteCount ?? 0),
+                voteCount: candidate.rating?.voteCount ?? 0,
+                title: candidate.primaryTitle || candidate.originalTitle,
+                type: candidate.type,
+                year: candidate.startYear,
+                url: RatingProviders.getImdbUrl(candidate.id),
+                id: candidate.id,
+                scores: RatingProviders.buildScores({
+                    imdb: candidate.rating?.aggregateRating,
+                    metacritic: candidate.metacritic?.score
+                })
+            };
+        }
+    },
+
+    /**
+     * OMDb - requires a user API key from omdbapi.com
+     * Search results carry no ratings, so normalize fetches the title by id.
+     */
+    omdb: {
+        name: 'OMDb',
+        isAvailable: () => Boolean(BASE_CONFIG.PROVIDERS.omdb.apiKey),
+        async search(title, type) {
+            const params = new URLSearchParams({
+                apikey: BASE_CONFIG.PROVIDERS.omdb.apiKey,
+                s: title
+            });
+            if (type === 'movie' || type === 'series') {
+                params.set('type', type);
+            }
+
+            const data = await RatingProviders.fetchJson(`${BASE_CONFIG.PROVIDERS.omdb.url}/?${params}`);
+            if (data.Response === 'False') {
+                // OMDb reports "no results" and request errors the same way;
+                // a title too broad to list is a miss, not a failure
+                if (/not found|too many results/i.test(data.Error || '')) return [];
+                throw new Error(`OMDb: ${data.Error}`);
+            }
+
+            return (data.Search || []).map(item => ({
+                id: item.imdbID,
+                primaryTitle: item.Title,
+                type: item.Type === 'series' ? 'tvSeries' : item.Type,
+                startYear: parseInt(item.Year, 10) || null
+            }));
+        },
+        async getById(id) {
+            const params = new URLSearchParams({
+                apikey: BASE_CONFIG.PROVIDERS.omdb.apiKey,
+                i: id
+            });
+            const data = await RatingProviders.fetchJson(`${BASE_CONFIG.PROVIDERS.omdb.url}/?${params}`);
+            if (data.Response === 'False') {
+                if (/incorrect imdb id|not found/i.test(data.Error || '')) return null;
+                throw new Error(`OMDb: ${data.Error}`);
+            }
+
+            const score = parseFloat(data.imdbRating);
+            const voteCount = parseInt((data.imdbVotes || '').replace(/,/g, ''), 10) || 0;
+            const ratings = data.Ratings || [];
+            const findRating = (source) => ratings.find(rating => rating.Source === source)?.Value;
+            return {
+                score: Number.isNaN(score) ? 'N/A' : score,
+                votes: RatingProviders.formatVotes(voteCount),
+                voteCount,
+                title: data.Title,
+                type: data.Type === 'series' ? 'tvSeries' : data.Type,
+                year: parseInt(data.Year, 10) || null,
+                url: RatingProviders.getImdbUrl(id),
+                id,
+                scores: RatingProviders.buildScores({
+                    imdb: data.imdbRating,
+                    metacritic: data.Metascore,
+                    rottenTomatoes: findRating('Rotten Tomatoes') // e.g. "92%"
+                })
+            };
+        },
+        async getDetails(id) {
+            const params = new URLSearchParams({
+                apikey: BASE_CONFIG.PROVIDERS.omdb.apiKey,
+                i: id,
+                plot: 'short'
+            });
+            const data = await RatingProviders.fetchJson(`${BASE_CONFIG.PROVIDERS.omdb.url}/?${params}`);
+            if (data.Response === 'False') {
+                if (/incorrect imdb id|not found/i.test(data.Error || '')) return null;
+                throw new Error(`OMDb: ${data.Error}`);
+            }
+
+            // OMDb uses "N/A" for every missing field and joins lists with commas
+            const value = (field) => (data[field] && data[field] !== 'N/A' ? data[field] : null);
+            const list = (field) => (value(field) ? value(field).split(',').map(item => item.trim()) : []);
+            return {
+                id,
+                plot: value('Plot'),
+                genres: list('Genre'),
+                runtime: parseInt(value('Runtime'), 10) || null, // e.g. "155 min"
+                certificate: value('Rated'),
+                directors: list('Director'),
+                cast: list('Actors'),
+                seasons: parseInt(value('totalSeasons'), 10) || null
+            };
+        },
+        async getEpisodes(id, season) {
+            const params = new URLSearchParams({
+                apikey: BASE_CONFIG.PROVIDERS.omdb.apiKey,
+                i: id,
+                Season: season
+            });
+            const data = await RatingProviders.fetchJson(`${BASE_CONFIG.PROVIDERS.omdb.url}/?${params}`);
+            if (data.Response === 'False') {
+                if (/incorrect imdb id|not found/i.test(data.Error || '')) return null;
+                throw new Error(`OMDb: ${data.Error}`);
+            }
+
+            if (!data.Episodes?.length) return null;
+
+            // OMDb season listings carry the rating but no vote counts
+            return data.Episodes.map(episode => {
+                const score = parseFloat(episode.imdbRating);
+                return {
+                    id: episode.imdbID,
+                    season,
+                    episode: parseInt(episode.Episode, 10) || null,
+                    title: episode.Title || null,
+                    score: Number.isNaN(score) ? 'N/A' : score,
+                    voteCount: null,
+                    url: RatingProviders.getImdbUrl(episode.imdbID)
+                };
+            });
+        },
+        async normalize(candidate) {
+            const rating = await RATING_PROVIDERS.omdb.getById(candidate.id);
+            if (!rating) {
+                throw new Error(`OMDb: No title for ${candidate.id}`);
+            }
+            return rating;
+        }
+    }
+};
+
+const RatingProviders = {
+    rateLimiter: null,
+
+    /**
+     * Get the providers to try, in order, skipping unavailable ones
+     * @returns {Array<Object>} Provider entries with their key
+     */
+    getOrder() {
+        return BASE_CONFIG.PROVIDER_ORDER
+            .filter(key => RATING_PROVIDERS[key]?.isAvailable())
+            .map(key => ({ key, ...RATING_PROVIDERS[key] }));
+    },
+
+    /**
+     * Set the function every request waits on before it is sent
+     * @param {Function} limiter - Async function resolving when a request may go out
+     */
+    useRateLimiter(limiter) {
+        this.rateLimiter = limiter;
+    },
+
+    /**
+     * Fetch JSON with retries for rate limiting and server errors
+     * Every attempt waits on the rate limiter first.
+     * @param {string} url - Request URL
+     * @param {number} retryCount - Current retry attempt
+     * @returns {Promise<Object>} Parsed response body
+     * @throws {Error} When the request fails after all retries
+     */
+    async fetchJson(url, retryCount = 0) {
+        LOGGER.verbose(`IMDBuddy: RatingProviders#fetchJson: ${url} (attempt ${retryCount + 1})`);
+        try {
+            if (this.rateLimiter) await this.rateLimiter();
+            const response = await fetch(url);
+            LOGGER.verbose('IMDBuddy: RatingProviders#fetchJson: Response status:', response.status);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            // Retry logic for temporary failures
+            if (retryCount < 2 && (error.message.includes('429') || error.message.includes('500'))) {
+                const backoffDelay = Math.pow(2, retryCount) * 1000; // Exponential backoff
+                LOGGER.debug(`IMDBuddy: RatingProviders#fetchJson: Retrying in ${backoffDelay}ms...`);
+                await new Promise(resolve => setTimeout(resolve, backoffDelay));
+                return this.fetchJson(url, retryCount + 1);
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Summarize a search candidate for the match picker
+     * @param {Object} candidate - Search result in FuzzyMatcher shape
+     * @param {string} providerKey - Key of the provider that returned it
+     * @returns {Object} { id, title, year, type, votes, provider }
+     */
+    summarizeCandidate(candidate, providerKey) {
+        const voteCount = candidate.rating?.voteCount;
+        return {
+            id: candidate.id,
+            title: candidate.primaryTitle || candidate.originalTitle,
+            year: candidate.startYear || null,
+            type: candidate.type || null,
+            votes: voteCount ? this.formatVotes(voteCount) : null,
+            provider: providerKey
+        };
+    },
+
+    /**
+     * Build the list of named scores for a rating
+     * Values may be numbers or provider strings such as "7.8", "92%" or "74";
+     * missing and unparseable values are left out.
+     * @param {Object} values - Raw values keyed by SCORE_SOURCES key
+     * @returns {Array<{source: string, value: number}>} Scores in SCORE_SOURCES order
+     */
+    buildScores(values) {
+        return Object.keys(SCORE_SOURCES)
+            .map(source => ({ source, value: parseFloat(values[source]) }))
+            .filter(score => !Number.isNaN(score.value));
+    },
+
+    /**
+     * Build the IMDb page URL for a title id
+     * @param {string} id - IMDb title id (tt...)
+     * @returns {string} IMDb title URL
+     */
+    getImdbUrl(id) {
+        return `https://www.imdb.com/title/${id}/`;
+    },
+
+    /**
+     * Format vote counts for display (e.g., 1500000 -> 1.5M)
+     * @param {number} votes - Raw vote count
+     * @returns {string} Formatted vote count
+     */
+    formatVotes(votes) {
+        if (votes >= 1000000) return (votes / 1000000).toFixed(1) + 'M';
+        if (votes >= 1000) return (votes / 1000).toFixed(1) + 'K';
+        return votes.toString();
+    }
+};
+
+window.RATING_PROVIDERS = RATING_PROVIDERS;
+window.RatingProviders = RatingProviders;
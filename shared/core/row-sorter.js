@@ -0,0 +1,148 @@
+/**
+ * IMDBuddy - Row Sorter Module
+ *
+ * Reorders the cards within each row by IMDb score, and restores the
+ * platform's order on undo. A row is a container whose children hold
+ * cards matching the platform's cardSelectors.
+ *
+ * Flex and grid rows are reordered with the CSS order property, so the
+ * platform's DOM is left alone. Other rows have their card nodes moved;
+ * moved nodes keep their event listeners, and every card ends up in a
+ * slot a card already occupied.
+ */
+
+const RowSorter = {
+    MAX_DEPTH: 3, // How far above a card to look for the element that has card siblings
+    rows: [], // Sorted rows: { parent, units (original order), mode, orders }
+
+    /**
+     * Check whether rows are currently sorted
+     * @returns {boolean} True until restore() runs
+     */
+    isSorted() {
+        return this.rows.length > 0;
+    },
+
+    /**
+     * Sort every row on the page by score, highest first
+     * Cards without a score keep their relative order at the end of the row.
+     * @param {Array<string>} cardSelectors - Platform card selectors
+     * @param {Function} getScore - Returns the numeric score of a card, or null
+     * @returns {number} Number of rows whose order changed
+     */
+    sort(cardSelectors, getScore) {
+        this.restore();
+
+        const selector = cardSelectors.join(', ');
+        const scores = new Map(); // sort unit -> score
+        for (const card of document.querySelectorAll(selector)) {
+            const unit = this.getSortUnit(card, selector);
+            if (!unit) continue;
+
+            // A unit can hold nested card matches; the best score wins
+            const score = getScore(card);
+            if (!scores.has(unit) || (score ?? -1) > (scores.get(unit) ?? -1)) {
+                scores.set(unit, score);
+            }
+        }
+
+        const rows = new Map(); // parent -> units in DOM order
+        for (const unit of scores.keys()) {
+            if (!rows.has(unit.parentElement)) rows.set(unit.parentElement, []);
+            rows.get(unit.parentElement).push(unit);
+        }
+
+        for (const [parent, units] of rows) {
+            if (units.length < 2) continue;
+
+            const ordered = units
+                .map((unit, index) => ({ unit, index, score: scores.get(unit) }))
+                .sort((a, b) => ((b.score ?? -1) - (a.score ?? -1)) || (a.index - b.index))
+                .map(entry => entry.unit);
+            if (ordered.every((unit, index) => unit === units[index])) continue;
+
+            const row = { parent, units, mode: this.getMode(parent), orders: units.map(unit => unit.style.order) };
+            this.arrange(row, ordered);
+            this.rows.push(row);
+        }
+
+        LOGGER.info(`IMDBuddy: RowSorter#sort: Sorted ${this.rows.length} rows`);
+        return this.rows.length;
+    },
+
+    /**
+     * Put every sorted row back in its original order
+     */
+    restore() {
+        for (const row of this.rows) {
+            if (row.mode === 'order') {
+                row.units.forEach((unit, index) => {
+                    unit.style.order = row.orders[index];
+                });
+            } else if (row.units.every(unit => unit.parentElement === row.parent)) {
+                // Rows the platform re-rendered in the meantime are left as they are
+                this.arrange(row, row.units);
+            }
+        }
+
+        if (this.rows.length > 0) {
+            LOGGER.info(`IMDBuddy: RowSorter#restore: Restored ${this.rows.length} rows`);
+        }
+        this.rows = [];
+    },
+
+    /**
+     * Find the element to reorder for a card: the card itself, or the
+     * closest ancestor that has siblings holding cards
+     * @param {HTMLElement} card - Card element
+     * @param {string} selector - Combined card selector
+     * @returns {HTMLElement|null} Element to reorder, or null if the card has no row
+     */
+    getSortUnit(card, selector) {
+        let unit = card;
+        for (let depth = 0; depth < this.MAX_DEPTH && unit.parentElement; depth++) {
+            const hasCardSiblings = [...unit.parentElement.children].some(sibling =>
+                sibling !== unit && (sibling.matches(selector) || sibling.querySelector(selector))
+            );
+            if (hasCardSiblings) return unit;
+            unit = unit.parentElement;
+        }
+        return null;
+    },
+
+    /**
+     * Pick how a row is reordered
+     * @param {HTMLElement} parent - Row container
+     * @returns {string} 'order' for flex and grid rows, 'move' otherwise
+     */
+    getMode(parent) {
+        const display = window.getComputedStyle(parent).display;
+        return /flex|grid/.test(display) ? 'order' : 'move';
+    },
+
+    /**
+     * Show a row's units in the given order
+     * @param {Object} row - Sorted row
+     * @param {Array<HTMLElement>} ordered - The row's units in the order to show
+     */
+    arrange(row, ordered) {
+        if (row.mode === 'order') {
+            ordered.forEach((unit, index) => {
+                unit.style.order = String(index);
+            });
+            return;
+        }
+
+        // Mark the slots the units occupy now, then fill them in the new order
+        const slots = [...row.parent.children]
+            .filter(child => row.units.includes(child))
+            .map((unit) => {
+                const slot = document.createComment('imdbuddy-slot');
+                unit.before(slot);
+                return slot;
+            });
+        ordered.forEach((unit, index) => slots[index].replaceWith(unit));
+    }
+};
+
+window.RowSorter = RowSorter;
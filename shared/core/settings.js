@@ -0,0 +1,163 @@
+/**
+ * IMDBuddy - Settings Module
+ *
+ * User settings stored in chrome.storage.sync and merged over the
+ * BASE_CONFIG defaults. Only the overridden values are stored, and they
+ * are applied to BASE_CONFIG in place so existing readers pick them up.
+ *
+ * Every extension context (content scripts, background, options page)
+ * listens to chrome.storage.onChanged, so a change saved on the options
+ * page reaches all open tabs without a reload.
+ */
+
+// BASE_CONFIG keys users can override
+const USER_SETTINGS = [
+    'VERBOSE',
+    'DEBUG',
+    'PROVIDERS',
+    'CACHE_MAX_AGE',
+    'NO_MATCH_CACHE_MAX_AGE',
+    'ERROR_CACHE_MAX_AGE',
+    'MIN_MATCH_SCORE',
+    'ENABLED_PLATFORMS',
+    'SHOW_SCORES',
+    'CARD_FILTER',
+    'OVERLAY_THEME'
+];
+
+const Settings = {
+    // Snapshot of the defaults, taken before any user values are applied
+    defaults: JSON.parse(JSON.stringify(
+        Object.fromEntries(USER_SETTINGS.map(key => [key, BASE_CONFIG[key]]))
+    )),
+    userValues: {},
+    listeners: [],
+    initPromise: null,
+
+    /**
+     * Load user settings and start listening for changes
+     * Safe to call more than once; later calls wait for the first.
+     * @returns {Promise<void>}
+     */
+    init() {
+        if (!this.initPromise) {
+            this.initPromise = this.load();
+        }
+        return this.initPromise;
+    },
+
+    /**
+     * Read user settings from storage and apply them
+     * @returns {Promise<void>}
+     */
+    async load() {
+        LOGGER.group('IMDBuddy: Settings#load');
+        try {
+            const result = await chrome.storage.sync.get([BASE_CONFIG.SETTINGS_KEY]);
+            this.apply(result[BASE_CONFIG.SETTINGS_KEY] || {});
+
+            chrome.storage.onChanged.addListener((changes) => {
+                const change = changes[BASE_CONFIG.SETTINGS_KEY];
+                if (change) {
+                    LOGGER.debug('IMDBuddy: Settings: Settings changed in storage');
+                    this.apply(change.newValue || {});
+                }
+            });
+            LOGGER.verbose('IMDBuddy: Settings#load: User settings applied:', this.userValues);
+        } catch (error) {
+            LOGGER.error('IMDBuddy: Settings#load: Failed to load settings, using defaults:', error);
+        } finally {
+            LOGGER.groupEnd();
+        }
+    },
+
+    /**
+     * Merge user values over the defaults into BASE_CONFIG
+     * Listeners are told which top-level keys changed.
+     * @param {Object} userValues - Stored user values
+     */
+    apply(userValues) {
+        this.userValues = this.sanitize(userValues);
+
+        const changedKeys = [];
+        for (const key of USER_SETTINGS) {
+            const value = this.merge(this.defaults[key], this.userValues[key]);
+            if (JSON.stringify(value) !== JSON.stringify(BASE_CONFIG[key])) {
+                BASE_CONFIG[key] = value;
+                changedKeys.push(key);
+            }
+        }
+
+        if (changedKeys.length > 0) {
+            LOGGER.debug('IMDBuddy: Settings#apply: Changed settings:', changedKeys);
+            for (const listener of this.listeners) {
+                try {
+                    listener(changedKeys);
+                } catch (error) {
+                    LOGGER.error('IMDBuddy: Settings#apply: Listener failed:', error);
+                }
+            }
+        }
+    },
+
+    /**
+     * Save user values, merged over the ones already stored
+     * @param {Object} values - Partial settings, e.g. { SHOW_SCORES: { metacritic: false } }
+     * @returns {Promise<void>}
+     */
+    async set(values) {
+        // Apply before saving so quick successive calls build on each other
+        const userValues = this.merge(this.userValues, this.sanitize(values));
+        this.apply(userValues);
+        await chrome.storage.sync.set({ [BASE_CONFIG.SETTINGS_KEY]: userValues });
+    },
+
+    /**
+     * Drop every user value and go back to the defaults
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        this.apply({});
+        await chrome.storage.sync.remove([BASE_CONFIG.SETTINGS_KEY]);
+    },
+
+    /**
+     * Register a listener for settings changes
+     * @param {Function} listener - Called with the array of changed BASE_CONFIG keys
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    /**
+     * Keep only keys users are allowed to override
+     * @param {Object} values - Raw values
+     * @returns {Object} Values limited to USER_SETTINGS
+     */
+    sanitize(values) {
+        return Object.fromEntries(
+            Object.entries(values || {}).filter(([key]) => USER_SETTINGS.includes(key))
+        );
+    },
+
+    /**
+     * Deep-merge plain objects; other values in source replace target
+     * @param {*} target - Base value
+     * @param {*} source - Overriding value
+     * @returns {*} Merged copy
+     */
+    merge(target, source) {
+        if (source === undefined) return JSON.parse(JSON.stringify(target ?? null));
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(target) || !isObject(source)) return JSON.parse(JSON.stringify(source));
+
+        const merged = { ...target };
+        for (const [key, value] of Object.entries(source)) {
+            merged[key] = this.merge(target[key], value);
+        }
+        return JSON.parse(JSON.stringify(merged));
+    }
+};
+
+window.USER_SETTINGS = USER_SETTINGS;
+window.Settings = Settings;
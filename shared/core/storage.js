@@ -7,6 +7,8 @@
  */
 
 const Storage = {
+    quotaHandler: null,
+
     /**
      * Get data from extension storage
      * @param {string} key - The storage key to retrieve
@@ -35,14 +37,88 @@ const Storage = {
      */
     async set(key, data) {
         LOGGER.group(`Storage Set: ${key}`, Object.keys(data).length, 'entries');
+        const items = { [key]: JSON.stringify(data) };
         try {
-            await chrome.storage.local.set({ [key]: JSON.stringify(data) });
+            try {
+                await chrome.storage.local.set(items);
+            } catch (error) {
+                if (!this.isQuotaError(error) || !this.quotaHandler) throw error;
+                // Make room, then try once more
+                LOGGER.warn(`Storage: Quota exceeded writing ${key}, freeing space`);
+                await this.quotaHandler();
+                await chrome.storage.local.set(items);
+            }
             LOGGER.verbose(`Storage: Stored data for ${key}`);
         } catch (error) {
             LOGGER.error('Storage set error:', error);
         } finally {
             LOGGER.groupEnd();
         }
+    },
+
+    /**
+     * Get several values from extension storage in one read
+     * @param {Array<string>} keys - The storage keys to retrieve
+     * @returns {Promise<Object>} Stored values by key; missing keys are left out
+     */
+    async getMany(keys) {
+        try {
+            const result = await chrome.storage.local.get(keys);
+            const data = {};
+            for (const [key, value] of Object.entries(result)) {
+                data[key] = JSON.parse(value);
+            }
+            return data;
+        } catch (error) {
+            LOGGER.error('Storage getMany error:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Set several values in extension storage in one write
+     * Unlike set, failures are thrown, so the caller can make room and retry.
+     * @param {Object} items - Values by storage key
+     * @returns {Promise<void>}
+     * @throws {Error} When the write fails, e.g. over the storage quota
+     */
+    async setMany(items) {
+        const serialized = {};
+        for (const [key, value] of Object.entries(items)) {
+            serialized[key] = JSON.stringify(value);
+        }
+        await chrome.storage.local.set(serialized);
+    },
+
+    /**
+     * Remove values from extension storage
+     * @param {Array<string>} keys - The storage keys to remove
+     * @returns {Promise<void>}
+     */
+    async remove(keys) {
+        try {
+            await chrome.storage.local.remove(keys);
+        } catch (error) {
+            LOGGER.error('Storage remove error:', error);
+        }
+    },
+
+    /**
+     * Set the function that frees space when a set() exceeds the storage quota
+     * @param {Function} handler - Async function making room in storage
+     */
+    onQuotaExceeded(handler) {
+        this.quotaHandler = handler;
+    },
+
+    /**
+     * Check whether a storage error means the quota is used up
+     * Chrome reports QUOTA_BYTES, Safari a QuotaExceededError.
+     * @param {Error} error - Error thrown by chrome.storage
+     * @returns {boolean} True for quota errors
+     */
+    isQuotaError(error) {
+        return /quota/i.test(`${error?.name} ${error?.message}`);
     }
 };
 
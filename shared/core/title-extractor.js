@@ -18,6 +18,7 @@ const TitleExtractor = {
         try {
             const result = platformConfig.extractTitle(element, platformConfig.titleSelectors);
             if (result) {
+                result.year = this.parseYear(result.year);
                 LOGGER.debug('TitleExtractor: Successfully extracted:', result);
             } else {
                 LOGGER.warn('TitleExtractor: Extraction failed for element');
@@ -29,6 +30,31 @@ const TitleExtractor = {
         }
     },
 
+    /**
+     * Extract the title shown on a platform's detail page
+     * @param {Object} detailPage - The platform's detailPage configuration
+     * @returns {string|null} Title or null if none of the selectors match
+     */
+    extractDetailTitle(detailPage) {
+        for (const selector of detailPage.titleSelectors) {
+            const element = document.querySelector(selector);
+            const title = (element?.getAttribute('alt') || element?.getAttribute('aria-label') || element?.textContent)?.trim();
+            if (title) return title;
+        }
+        LOGGER.verbose('TitleExtractor: No detail page title found');
+        return null;
+    },
+
+    /**
+     * Parse a year hint returned by a platform's extractTitle
+     * @param {string|number|undefined} year - Raw year hint (e.g. "2021")
+     * @returns {number|null} Four-digit year or null if absent or invalid
+     */
+    parseYear(year) {
+        const match = String(year ?? '').match(/\b(19|20)\d{2}\b/);
+        return match ? parseInt(match[0], 10) : null;
+    },
+
     /**
      * Log detailed debugging information when title extraction fails
      * @param {HTMLElement} element - The DOM element that failed extraction
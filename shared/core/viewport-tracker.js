@@ -0,0 +1,152 @@
+/**
+ * IMDBuddy - Viewport Tracker Module
+ *
+ * Reports how close each tracked card is to the viewport, so lookups for
+ * the cards the user is looking at are made first. Two
+ * IntersectionObservers tell cards in the viewport apart from cards
+ * within NEAR_VIEWPORT_MARGIN of it; every other card is off-screen.
+ *
+ * The listener is called with a card and its LOOKUP_PRIORITY whenever
+ * that changes, with null when the card moves off-screen or is removed.
+ * Observers report only changes, so a card removed while off-screen is
+ * found by prune() instead.
+ */
+
+const ViewportTracker = {
+    visibleObserver: null,
+    nearObserver: null,
+    states: new Map(), // card -> { visible, near }
+    listener: null,
+
+    /**
+     * Set the function told about priority changes
+     * @param {Function} listener - Called with (card, priority|null)
+     */
+    init(listener) {
+        this.listener = listener;
+    },
+
+    /**
+     * Start tracking a card; the listener hears about it once its
+     * position is known
+     * @param {HTMLElement} card - Card element
+     */
+    observe(card) {
+        if (this.states.has(card)) {
+            // Tracked already, e.g. a card reprocessed after a route change
+            this.listener(card, this.getPriority(card));
+            return;
+        }
+
+        if (typeof IntersectionObserver === 'undefined') {
+            // Without IntersectionObserver every card counts as visible
+            this.states.set(card, { visible: true, near: true });
+            this.listener(card, LOOKUP_PRIORITY.VISIBLE);
+            return;
+        }
+
+        this.ensureObservers();
+        this.states.set(card, { visible: false, near: false });
+        this.visibleObserver.observe(card);
+        this.nearObserver.observe(card);
+    },
+
+    /**
+     * Stop tracking a card
+     * @param {HTMLElement} card - Card element
+     */
+    unobserve(card) {
+        this.states.delete(card);
+        this.visibleObserver?.unobserve(card);
+        this.nearObserver?.unobserve(card);
+    },
+
+    /**
+     * Forget the cards the platform removed from the page
+     * @returns {number} Number of cards forgotten
+     */
+    prune() {
+        const removed = this.getCards().filter(card => !card.isConnected);
+        removed.forEach(card => this.forget(card));
+        return removed.length;
+    },
+
+    /**
+     * Stop tracking a removed card and report it as off-screen
+     * @param {HTMLElement} card - Card element
+     */
+    forget(card) {
+        this.unobserve(card);
+        this.listener(card, null);
+    },
+
+    /**
+     * Stop tracking every card
+     */
+    disconnect() {
+        this.visibleObserver?.disconnect();
+        this.nearObserver?.disconnect();
+        this.visibleObserver = null;
+        this.nearObserver = null;
+        this.states.clear();
+    },
+
+    /**
+     * Get the lookup priority of a tracked card
+     * @param {HTMLElement} card - Card element
+     * @returns {number|null} One of LOOKUP_PRIORITY, or null when off-screen or untracked
+     */
+    getPriority(card) {
+        const state = this.states.get(card);
+        if (state?.visible) return LOOKUP_PRIORITY.VISIBLE;
+        if (state?.near) return LOOKUP_PRIORITY.NEAR;
+        return null;
+    },
+
+    /**
+     * Get every tracked card
+     * @returns {Array<HTMLElement>} Card elements
+     */
+    getCards() {
+        return [...this.states.keys()];
+    },
+
+    /**
+     * Create the observers on first use
+     */
+    ensureObservers() {
+        if (this.visibleObserver) return;
+        this.visibleObserver = new IntersectionObserver(entries => this.handleEntries(entries, 'visible'));
+        this.nearObserver = new IntersectionObserver(entries => this.handleEntries(entries, 'near'), {
+            rootMargin: BASE_CONFIG.NEAR_VIEWPORT_MARGIN
+        });
+    },
+
+    /**
+     * Update card states from observer entries and report priority changes
+     * @param {Array<IntersectionObserverEntry>} entries - Observer entries
+     * @param {string} field - 'visible' or 'near'
+     */
+    handleEntries(entries, field) {
+        for (const entry of entries) {
+            const card = entry.target;
+            const state = this.states.get(card);
+            if (!state) continue;
+
+            // Cards the platform removed are forgotten
+            if (!card.isConnected) {
+                this.forget(card);
+                continue;
+            }
+
+            const previous = this.getPriority(card);
+            state[field] = entry.isIntersecting;
+            const priority = this.getPriority(card);
+            if (priority !== previous) {
+                this.listener(card, priority);
+            }
+        }
+    }
+};
+
+window.ViewportTracker = ViewportTracker;
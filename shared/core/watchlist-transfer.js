@@ -0,0 +1,264 @@
+/**
+ * IMDBuddy - Watchlist Transfer Module
+ *
+ * Turns the watchlist and pinned matches into files and back, entirely
+ * in the page; nothing is sent to a server. Supported formats:
+ *   - JSON: full backup of watchlist entries and pinned matches
+ *   - CSV: one row per saved title, for spreadsheets
+ *   - IMDb CSV: IMDb's own list export layout. IMDb's list import reads
+ *     the "Const" column (the tt id) and ignores the rest.
+ *
+ * Parsing only produces candidate entries; merging them is done by the
+ * background (Watchlist#merge, ApiService#mergeOverrides).
+ */
+
+// Columns of the spreadsheet CSV
+const CSV_COLUMNS = ['IMDb ID', 'Title', 'Year', 'Type', 'IMDb Rating', 'Votes', 'Platform', 'Platform Title', 'Added', 'URL'];
+
+// Columns of IMDb's list export, which its list import accepts
+const IMDB_CSV_COLUMNS = ['Position', 'Const', 'Created', 'Modified', 'Description', 'Title', 'URL', 'Title Type', 'IMDb Rating', 'Year'];
+
+// Leading characters that make a spreadsheet read a cell as a formula
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// IMDb "Title Type" labels for the types providers return
+const IMDB_TITLE_TYPES = {
+    movie: 'Movie',
+    tvSeries: 'TV Series',
+    tvMiniSeries: 'TV Mini Series',
+    tvMovie: 'TV Movie',
+    tvSpecial: 'TV Special',
+    tvEpisode: 'TV Episode',
+    short: 'Short'
+};
+
+const WatchlistTransfer = {
+    FORMAT: 'imdbuddy-backup',
+    FORMAT_VERSION: 1,
+
+    /**
+     * Build a JSON backup
+     * @param {Array<Object>} items - Watchlist entries
+     * @param {Object} overrides - Pinned matches keyed by "platform:title"
+     * @returns {string} JSON text
+     */
+    toJson(items, overrides) {
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            watchlist: items,
+            overrides
+        }, null, 2);
+    },
+
+    /**
+     * Build a spreadsheet CSV
+     * Titles come from streaming sites, so values a spreadsheet would run
+     * as formulas are prefixed with "'".
+     * @param {Array<Object>} items - Watchlist entries
+     * @returns {string} CSV text
+     */
+    toCsv(items) {
+        return this.formatCsv(CSV_COLUMNS, items.map(item => [
+            item.id,
+            item.title,
+            item.year,
+            item.type,
+            item.score,
+            item.votes,
+            item.platform,
+            item.platformTitle,
+            new Date(item.addedAt).toISOString(),
+            item.url
+        ]), { escapeFormulas: true });
+    },
+
+    /**
+     * Build a CSV in IMDb's list layout
+     * @param {Array<Object>} items - Watchlist entries
+     * @returns {string} CSV text
+     */
+    toImdbCsv(items) {
+        return this.formatCsv(IMDB_CSV_COLUMNS, items.map((item, index) => {
+            const added = new Date(item.addedAt).toISOString().slice(0, 10);
+            return [
+                index + 1,
+                item.id,
+                added,
+                added,
+                '',
+                item.title,
+                item.url,
+                IMDB_TITLE_TYPES[item.type] || item.type,
+                item.score,
+                item.year
+            ];
+        }));
+    },
+
+    /**
+     * Parse an exported file
+     * JSON backups, the spreadsheet CSV and IMDb list CSVs are recognized.
+     * @param {string} text - File contents
+     * @returns {{items: Array<Object>, overrides: Object, skipped: number}}
+     *          Entries to merge; skipped counts rows without a valid IMDb id
+     * @throws {Error} When the file is in none of the supported formats
+     */
+    parse(text) {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        if (trimmed.startsWith('{')) {
+            return this.parseJson(trimmed);
+        }
+        return this.parseCsv(trimmed);
+    },
+
+    /**
+     * Parse a JSON backup
+     * @param {string} text - JSON text
+     * @returns {{items: Array<Object>, overrides: Object, skipped: number}}
+     */
+    parseJson(text) {
+        const data = JSON.parse(text);
+        if (data.format !== this.FORMAT || !Array.isArray(data.watchlist)) {
+            throw new Error('Not an IMDBuddy backup');
+        }
+
+        const items = data.watchlist.filter(item => this.isImdbId(item?.id));
+        const overrides = Object.fromEntries(
+            Object.entries(data.overrides || {}).filter(([, override]) => this.isImdbId(override?.id))
+        );
+        return { items, overrides, skipped: data.watchlist.length - items.length };
+    },
+
+    /**
+     * Parse the spreadsheet CSV or an IMDb list CSV
+     * @param {string} text - CSV text
+     * @returns {{items: Array<Object>, overrides: Object, skipped: number}}
+     */
+    parseCsv(text) {
+        const [header, ...rows] = this.parseCsvRows(text);
+        const columns = (header || []).map(name => name.trim());
+        const idColumn = columns.includes('IMDb ID') ? 'IMDb ID' : 'Const';
+        if (!columns.includes(idColumn)) {
+            throw new Error('No "IMDb ID" or "Const" column found');
+        }
+
+        const items = [];
+        let skipped = 0;
+        for (const row of rows) {
+            const values = Object.fromEntries(columns.map((name, index) => [name, this.unescapeFormula(row[index]?.trim() ?? '')]));
+            const id = values[idColumn];
+            if (!this.isImdbId(id)) {
+                skipped++;
+                continue;
+            }
+
+            const added = Date.parse(values['Added'] || values['Created']);
+            items.push({
+                id,
+                title: values['Title'] || id,
+                year: parseInt(values['Year'], 10) || null,
+                type: this.parseType(values['Type'] || values['Title Type']),
+                score: parseFloat(values['IMDb Rating']) || 'N/A',
+                votes: values['Votes'] || null,
+                platform: values['Platform'] || null,
+                platformTitle: values['Platform Title'] || null,
+                url: values['URL'] || `https://www.imdb.com/title/${id}/`,
+                addedAt: Number.isNaN(added) ? Date.now() : added
+            });
+        }
+        return { items, overrides: {}, skipped };
+    },
+
+    /**
+     * Map an IMDb "Title Type" label back to a provider type
+     * @param {string} value - Label such as "TV Series", or a type such as "tvSeries"
+     * @returns {string|null} Type
+     */
+    parseType(value) {
+        if (!value) return null;
+        const type = Object.keys(IMDB_TITLE_TYPES).find(key => IMDB_TITLE_TYPES[key].toLowerCase() === value.toLowerCase());
+        return type || value;
+    },
+
+    /**
+     * Check that a value is an IMDb title id
+     * @param {*} id - Value to check
+     * @returns {boolean} True for ids like "tt0111161"
+     */
+    isImdbId(id) {
+        return typeof id === 'string' && /^tt\d+$/.test(id);
+    },
+
+    /**
+     * Format rows as CSV (RFC 4180 quoting)
+     * @param {Array<string>} columns - Header row
+     * @param {Array<Array<*>>} rows - Data rows
+     * @param {Object} [options] - Format options
+     * @param {boolean} [options.escapeFormulas] - Prefix values starting like a formula with "'"
+     * @returns {string} CSV text
+     */
+    formatCsv(columns, rows, { escapeFormulas = false } = {}) {
+        const formatValue = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (escapeFormulas && CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...rows].map(row => row.map(formatValue).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Remove the "'" formatCsv puts before values starting like a formula
+     * @param {string} value - CSV value
+     * @returns {string} Value as exported
+     */
+    unescapeFormula(value) {
+        return value.startsWith("'") && CSV_FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+    },
+
+    /**
+     * Split CSV text into rows of values (RFC 4180 quoting)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows, empty lines dropped
+     */
+    parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        row.push(value);
+        rows.push(row);
+
+        return rows.filter(values => values.some(cell => cell.trim() !== ''));
+    }
+};
+
+window.WatchlistTransfer = WatchlistTransfer;
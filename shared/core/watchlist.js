@@ -0,0 +1,209 @@
+/**
+ * IMDBuddy - Watchlist Module
+ *
+ * Titles the user saved from an overlay, keyed by IMDb id. The background
+ * service worker is the only writer (content scripts and the watchlist
+ * page go through RatingClient), so saves from several tabs can't
+ * overwrite each other. Readers in any context can follow changes with
+ * onChange.
+ */
+
+// Entry fields that count as a conflict on import when both sides differ
+const WATCHLIST_CONFLICT_FIELDS = ['title', 'year', 'type', 'platform'];
+
+const Watchlist = {
+    items: {}, // IMDb id -> watchlist entry, see createEntry
+
+    /**
+     * Load the saved titles from storage
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.items = await Storage.get(BASE_CONFIG.WATCHLIST_KEY);
+        LOGGER.verbose('IMDBuddy: Watchlist#init: Saved titles loaded:', Object.keys(this.items).length);
+    },
+
+    /**
+     * Save a title from the rating shown on an overlay
+     * Saving a title again keeps its original date added.
+     * @param {Object} rating - Rating as returned by ApiService
+     * @param {Object} titleData - Title data the rating was looked up for
+     * @returns {Promise<Object>} The stored entry
+     */
+    async add(rating, titleData) {
+        if (!rating?.id) {
+            throw new Error('Only ratings with an IMDb id can be saved');
+        }
+
+        const entry = this.createEntry(rating, titleData, this.items[rating.id]?.addedAt);
+        this.items[rating.id] = entry;
+        await this.save();
+        LOGGER.info(`IMDBuddy: Watchlist#add: Saved ${entry.id} (${entry.title})`);
+        return entry;
+    },
+
+    /**
+     * Remove a title
+     * @param {string} id - IMDb id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        if (!this.items[id]) return;
+        delete this.items[id];
+        await this.save();
+        LOGGER.info(`IMDBuddy: Watchlist#remove: Removed ${id}`);
+    },
+
+    /**
+     * Merge imported entries by IMDb id
+     * New ids are added and gaps in saved entries are filled in. When a
+     * saved entry and an imported one disagree on a WATCHLIST_CONFLICT_FIELDS
+     * field, the saved value is kept and the difference is reported.
+     * @param {Array<Object>} entries - Imported entries
+     * @returns {Promise<Object>} Report { added, updated, unchanged, invalid, conflicts }
+     */
+    async merge(entries) {
+        const report = { added: 0, updated: 0, unchanged: 0, invalid: 0, conflicts: [] };
+
+        for (const entry of entries) {
+            if (typeof entry?.id !== 'string' || !/^tt\d+$/.test(entry.id)) {
+                report.invalid++;
+                continue;
+            }
+
+            const incoming = this.sanitizeEntry(entry);
+            const existing = this.items[incoming.id];
+            if (!existing) {
+                this.items[incoming.id] = incoming;
+                report.added++;
+                continue;
+            }
+
+            const merged = { ...existing, addedAt: Math.min(existing.addedAt, incoming.addedAt) };
+            for (const [field, value] of Object.entries(incoming)) {
+                if (this.isEmpty(merged[field]) && !this.isEmpty(value)) {
+                    merged[field] = value;
+                }
+            }
+
+            const conflicts = WATCHLIST_CONFLICT_FIELDS
+                .filter(field => !this.isEmpty(existing[field]) && !this.isEmpty(incoming[field]))
+                .filter(field => existing[field] !== incoming[field])
+                .map(field => ({ field, kept: existing[field], imported: incoming[field] }));
+            if (conflicts.length > 0) {
+                report.conflicts.push({ id: incoming.id, title: existing.title, fields: conflicts });
+            }
+
+            if (JSON.stringify(merged) !== JSON.stringify(existing)) {
+                this.items[incoming.id] = merged;
+                report.updated++;
+            } else if (conflicts.length === 0) {
+                report.unchanged++;
+            }
+        }
+
+        if (report.added > 0 || report.updated > 0) {
+            await this.save();
+        }
+        LOGGER.info('IMDBuddy: Watchlist#merge: Import merged:', report);
+        return report;
+    },
+
+    /**
+     * Keep the known fields of an imported entry, with the expected types
+     * @param {Object} entry - Imported entry with a valid IMDb id
+     * @returns {Object} Watchlist entry
+     */
+    sanitizeEntry(entry) {
+        const text = value => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+        const addedAt = Number(entry.addedAt);
+        return {
+            id: entry.id,
+            title: text(entry.title) || entry.id,
+            year: Number.isInteger(entry.year) ? entry.year : null,
+            type: text(entry.type),
+            score: typeof entry.score === 'number' ? entry.score : 'N/A',
+            votes: text(entry.votes),
+            scores: Array.isArray(entry.scores) ? entry.scores : [],
+            url: `https://www.imdb.com/title/${entry.id}/`,
+            platform: text(entry.platform),
+            platformTitle: text(entry.platformTitle),
+            addedAt: Number.isFinite(addedAt) && addedAt > 0 ? addedAt : Date.now()
+        };
+    },
+
+    /**
+     * Check whether an entry field has no value
+     * @param {*} value - Field value
+     * @returns {boolean} True for null, undefined, '', 'N/A' and empty arrays
+     */
+    isEmpty(value) {
+        return value === null || value === undefined || value === '' || value === 'N/A'
+            || (Array.isArray(value) && value.length === 0);
+    },
+
+    /**
+     * Get every saved title, most recently added first
+     * @returns {Array<Object>} Watchlist entries
+     */
+    getAll() {
+        return this.toList(this.items);
+    },
+
+    /**
+     * Turn stored items into a list, most recently added first
+     * @param {Object} items - Entries keyed by IMDb id
+     * @returns {Array<Object>} Watchlist entries
+     */
+    toList(items) {
+        return Object.values(items).sort((a, b) => b.addedAt - a.addedAt);
+    },
+
+    /**
+     * Build a watchlist entry from a rating
+     * @param {Object} rating - Rating with id, title, type, year, score, votes, url and scores
+     * @param {Object} titleData - Title data with the platform key and platform title
+     * @param {number} [addedAt] - When the title was first saved
+     * @returns {Object} Watchlist entry
+     */
+    createEntry(rating, titleData, addedAt = Date.now()) {
+        return {
+            id: rating.id,
+            title: rating.title || titleData.title,
+            year: rating.year ?? null,
+            type: rating.type ?? null,
+            score: rating.score,
+            votes: rating.votes,
+            scores: rating.scores || [],
+            url: rating.url,
+            platform: titleData.platform || null,
+            platformTitle: titleData.title,
+            addedAt
+        };
+    },
+
+    /**
+     * Persist the watchlist
+     * @returns {Promise<void>}
+     */
+    async save() {
+        await Storage.set(BASE_CONFIG.WATCHLIST_KEY, this.items);
+    },
+
+    /**
+     * Follow changes made in any extension context
+     * @param {Function} listener - Called with the updated array of entries
+     */
+    onChange(listener) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const change = changes[BASE_CONFIG.WATCHLIST_KEY];
+            if (areaName !== 'local' || !change) return;
+
+            // Storage keeps the entries as a JSON string, see Storage#set
+            const items = change.newValue ? JSON.parse(change.newValue) : {};
+            listener(this.toList(items));
+        });
+    }
+};
+
+window.Watchlist = Watchlist;
@@ -0,0 +1,263 @@
+/**
+ * IMDBuddy - Options Page Script
+ *
+ * Binds the settings form to the Settings module. Every input carries a
+ * data-setting path into BASE_CONFIG (e.g. "PROVIDERS.omdb.apiKey") and
+ * an optional data-scale to convert displayed units (days, minutes) to
+ * the milliseconds stored in BASE_CONFIG. Changes are saved immediately.
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // Build the inputs that depend on the configured platforms and scores
+    renderPlatformOptions();
+    renderScoreOptions();
+    renderOverlayOptions();
+    renderFilterOptions();
+
+    await Settings.init();
+    fillForm();
+
+    // Keep the form in sync with changes made elsewhere (e.g. another window)
+    Settings.onChange(() => fillForm());
+
+    setupEventListeners();
+});
+
+/**
+ * Add an enable checkbox for every supported platform
+ */
+function renderPlatformOptions() {
+    const container = document.getElementById('platformOptions');
+    for (const [key, config] of Object.entries(PLATFORM_CONFIGS)) {
+        container.appendChild(createCheckboxField(config.name, `ENABLED_PLATFORMS.${key}`));
+    }
+}
+
+/**
+ * Add a toggle for every score source
+ */
+function renderScoreOptions() {
+    const container = document.getElementById('scoreOptions');
+    for (const [key, source] of Object.entries(SCORE_SOURCES)) {
+        container.appendChild(createCheckboxField(source.name, `SHOW_SCORES.${key}`));
+    }
+}
+
+/**
+ * Fill the filter modes and add a filter toggle for every platform
+ */
+function renderFilterOptions() {
+    fillSelect(document.getElementById('filterModeSelect'), CARD_FILTER_MODES);
+
+    const container = document.getElementById('filterPlatformOptions');
+    for (const [key, config] of Object.entries(PLATFORM_CONFIGS)) {
+        container.appendChild(createCheckboxField(`Filter on ${config.name}`, `CARD_FILTER.platforms.${key}`));
+    }
+}
+
+/**
+ * Fill the overlay size and position choices, with a position override
+ * for every platform
+ */
+function renderOverlayOptions() {
+    fillSelect(document.getElementById('sizeSelect'), OVERLAY_SIZES);
+    fillSelect(document.getElementById('positionSelect'), OVERLAY_POSITIONS);
+
+    const container = document.getElementById('platformPositionOptions');
+    for (const [key, config] of Object.entries(PLATFORM_CONFIGS)) {
+        const field = document.createElement('label');
+        field.className = 'field';
+
+        const text = document.createElement('span');
+        text.textContent = `Position on ${config.name}`;
+
+        const select = document.createElement('select');
+        select.dataset.setting = `OVERLAY_THEME.platformPositions.${key}`;
+        fillSelect(select, { '': 'Same as above', ...OVERLAY_POSITIONS });
+
+        field.append(text, select);
+        container.appendChild(field);
+    }
+}
+
+/**
+ * Add an option for every entry of a { value: label } map
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Object} choices - Labels keyed by value
+ */
+function fillSelect(select, choices) {
+    for (const [value, label] of Object.entries(choices)) {
+        select.add(new Option(label, value));
+    }
+}
+
+/**
+ * Create a labelled checkbox bound to a setting
+ * @param {string} label - Text shown next to the checkbox
+ * @param {string} path - Setting path in BASE_CONFIG
+ * @returns {HTMLElement} The field element
+ */
+function createCheckboxField(label, path) {
+    const field = document.createElement('label');
+    field.className = 'field';
+
+    const text = document.createElement('span');
+    text.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.dataset.setting = path;
+
+    field.append(text, input);
+    return field;
+}
+
+/**
+ * Show the current settings in the form
+ */
+function fillForm() {
+    for (const input of document.querySelectorAll('[data-setting]')) {
+        // Don't overwrite what the user is typing
+        if (input === document.activeElement && input.type !== 'checkbox') continue;
+        fillInput(input);
+    }
+}
+
+/**
+ * Show the current value of one setting
+ * @param {HTMLInputElement|HTMLSelectElement} input - Input bound to the setting
+ */
+function fillInput(input) {
+    const value = getPath(BASE_CONFIG, input.dataset.setting);
+    if (input.type === 'checkbox') {
+        // Missing entries (e.g. a new platform) are enabled by default
+        input.checked = value !== false;
+    } else if (input.type === 'number') {
+        input.value = value / getScale(input);
+    } else {
+        input.value = value ?? '';
+    }
+}
+
+/**
+ * Set up event listeners for the form
+ */
+function setupEventListeners() {
+    for (const input of document.querySelectorAll('[data-setting]')) {
+        input.addEventListener('change', handleSettingChange);
+    }
+    document.getElementById('resetBtn').addEventListener('click', handleReset);
+}
+
+/**
+ * Save a changed input
+ * @param {Event} event - Change event
+ */
+async function handleSettingChange(event) {
+    const input = event.target;
+
+    if (!input.checkValidity()) {
+        showStatus(`Invalid value: ${input.validationMessage}`, true);
+        return;
+    }
+
+    let value;
+    if (input.type === 'checkbox') {
+        value = input.checked;
+    } else if (input.type === 'number') {
+        value = parseFloat(input.value) * getScale(input);
+    } else {
+        value = input.value.trim();
+    }
+
+    const error = validateSetting(input.dataset.setting, value);
+    if (error) {
+        showStatus(error, true);
+        fillInput(input);
+        return;
+    }
+
+    try {
+        await Settings.set(buildPatch(input.dataset.setting, value));
+        showStatus('Saved');
+    } catch (error) {
+        console.error('[IMDBuddy Options] Error saving setting:', error);
+        showStatus('Could not save settings', true);
+    }
+}
+
+/**
+ * Restore every setting to its default
+ */
+async function handleReset() {
+    try {
+        await Settings.reset();
+        fillForm();
+        showStatus('Defaults restored');
+    } catch (error) {
+        console.error('[IMDBuddy Options] Error resetting settings:', error);
+        showStatus('Could not restore defaults', true);
+    }
+}
+
+/**
+ * Check a value against the settings it depends on
+ * @param {string} path - Setting path in BASE_CONFIG
+ * @param {*} value - New value
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+function validateSetting(path, value) {
+    const { bands } = BASE_CONFIG.OVERLAY_THEME;
+    if (path === 'OVERLAY_THEME.bands.low' && value >= bands.high) {
+        return `Low must be below ${bands.high}`;
+    }
+    if (path === 'OVERLAY_THEME.bands.high' && value <= bands.low) {
+        return `High must be above ${bands.low}`;
+    }
+    return null;
+}
+
+/**
+ * Get the unit scale of a numeric input
+ * @param {HTMLInputElement} input - Input element
+ * @returns {number} Multiplier from displayed to stored value
+ */
+function getScale(input) {
+    return parseFloat(input.dataset.scale) || 1;
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} object - Source object
+ * @param {string} path - Dotted path, e.g. "SHOW_SCORES.imdb"
+ * @returns {*} Value at the path or undefined
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Build a nested settings object for a dotted path
+ * @param {string} path - Dotted path, e.g. "SHOW_SCORES.imdb"
+ * @param {*} value - Value to set
+ * @returns {Object} Partial settings, e.g. { SHOW_SCORES: { imdb: false } }
+ */
+function buildPatch(path, value) {
+    return path.split('.').reduceRight((patch, key) => ({ [key]: patch }), value);
+}
+
+/**
+ * Show a short-lived status message
+ * @param {string} message - Message to show
+ * @param {boolean} isError - Whether the message reports an error
+ */
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+
+    clearTimeout(showStatus.timer);
+    showStatus.timer = setTimeout(() => {
+        status.textContent = '';
+    }, 2000);
+}
@@ -4,6 +4,18 @@
  * Handles popup functionality including debug tools
  */
 
+const CACHE_INSPECTOR_LIMIT = 50; // Entries listed at once; the search narrows them down
+const CACHE_SEARCH_DELAY = 250; // Typing pause in ms before the cache is searched
+
+// Popup labels for the lookup statuses in config.js, which the popup doesn't load
+const CACHE_STATUS_LABELS = {
+    no_results: 'no results',
+    low_score: 'no confident match',
+    error: 'lookup failed'
+};
+
+let cacheSearchTimer = null;
+
 document.addEventListener('DOMContentLoaded', async () => {
     // Check platform support and update UI
     await checkPlatformSupport();
@@ -13,6 +25,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Set up event listeners
     setupEventListeners();
+    
+    await updateCacheUsage();
 });
 
 /**
@@ -83,6 +97,12 @@ function updateStatusUI(platformInfo) {
     const statusText = document.getElementById('statusText');
     const platformName = document.getElementById('platformName');
     
+    // Rows can only be sorted where the content script runs
+    document.getElementById('sortRowsBtn').hidden = !platformInfo.supported;
+    if (platformInfo.supported) {
+        updateSortRowsButton();
+    }
+    
     if (platformInfo.supported) {
         // Supported platform
         statusIndicator.className = 'status-indicator supported';
@@ -139,10 +159,302 @@ async function checkDebugMode() {
  */
 function setupEventListeners() {
     const clearCacheBtn = document.getElementById('clearCacheBtn');
+    const settingsBtn = document.getElementById('settingsBtn');
+    const watchlistBtn = document.getElementById('watchlistBtn');
+    const sortRowsBtn = document.getElementById('sortRowsBtn');
+    const cacheInspectorBtn = document.getElementById('cacheInspectorBtn');
     
     if (clearCacheBtn) {
         clearCacheBtn.addEventListener('click', handleClearCache);
     }
+
+    if (cacheInspectorBtn) {
+        cacheInspectorBtn.addEventListener('click', toggleCacheInspector);
+        document.getElementById('cacheSearch').addEventListener('input', () => {
+            clearTimeout(cacheSearchTimer);
+            cacheSearchTimer = setTimeout(loadCacheEntries, CACHE_SEARCH_DELAY);
+        });
+        document.getElementById('cacheNoMatch').addEventListener('change', loadCacheEntries);
+        document.getElementById('cacheList').addEventListener('click', handleCacheEntryAction);
+    }
+
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+            window.close();
+        });
+    }
+
+    if (sortRowsBtn) {
+        sortRowsBtn.addEventListener('click', handleSortRows);
+    }
+
+    if (watchlistBtn) {
+        watchlistBtn.addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('watchlist.html') });
+            window.close();
+        });
+    }
+}
+
+/**
+ * Show whether rows on the current tab are sorted
+ */
+async function updateSortRowsButton() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const { sorted } = await chrome.tabs.sendMessage(tab.id, { type: 'GET_ROW_SORT_STATE' });
+        setSortRowsLabel(sorted);
+    } catch (error) {
+        console.log('[IMDBuddy Popup] Cannot get row sort state:', error);
+    }
+}
+
+/**
+ * Sort the rows on the current tab by rating, or restore their order
+ */
+async function handleSortRows() {
+    const button = document.getElementById('sortRowsBtn');
+    const wasSorted = button.dataset.sorted === 'true';
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const { sorted } = await chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_ROW_SORT' });
+        setSortRowsLabel(sorted);
+        if (!sorted && !wasSorted) {
+            button.textContent = 'No rated rows to sort yet';
+        }
+    } catch (error) {
+        console.error('[IMDBuddy Popup] Error sorting rows:', error);
+        button.textContent = '✗ Could not sort rows';
+    }
+}
+
+/**
+ * Update the sort button label
+ * @param {boolean} sorted - Whether rows are sorted
+ */
+function setSortRowsLabel(sorted) {
+    const button = document.getElementById('sortRowsBtn');
+    button.dataset.sorted = String(sorted);
+    button.textContent = sorted ? 'Restore original row order' : 'Sort rows by IMDb rating';
+}
+
+/**
+ * Show how much of the cache budget is used, from the background
+ * Also updates the cache inspector's totals while it is open.
+ */
+async function updateCacheUsage() {
+    const element = document.getElementById('cacheUsage');
+    try {
+        const { usage, totals } = await chrome.runtime.sendMessage({ type: 'GET_STATS' });
+        if (!document.getElementById('cacheInspector').hidden) {
+            renderCacheTotals(totals);
+        }
+        element.textContent = `Cache: ${usage.entries.toLocaleString()} of ${usage.maxEntries.toLocaleString()} entries` +
+            ` · ${formatBytes(usage.bytes)} of ${formatBytes(usage.maxBytes)}`;
+        element.title = 'Least recently used entries are removed at the limit';
+        element.hidden = false;
+    } catch (error) {
+        console.log('[IMDBuddy Popup] Cannot get cache usage:', error);
+        element.hidden = true;
+    }
+}
+
+/**
+ * Format a byte count for display (e.g., 1536 -> "1.5 KB")
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Show or hide the cache inspector, loading its entries when shown
+ */
+async function toggleCacheInspector() {
+    const button = document.getElementById('cacheInspectorBtn');
+    const inspector = document.getElementById('cacheInspector');
+    const open = inspector.hidden;
+
+    inspector.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
+    button.textContent = open ? 'Hide cache' : 'Browse cache';
+    document.body.classList.toggle('inspecting', open);
+
+    if (open) {
+        await loadCacheEntries();
+        document.getElementById('cacheSearch').focus();
+    }
+}
+
+/**
+ * List the cached lookups matching the inspector's search and filter
+ */
+async function loadCacheEntries() {
+    const list = document.getElementById('cacheList');
+    const note = document.getElementById('cacheListNote');
+    try {
+        const { entries, matching, totals } = await sendToBackground({
+            type: 'GET_CACHE_ENTRIES',
+            query: document.getElementById('cacheSearch').value,
+            noMatchOnly: document.getElementById('cacheNoMatch').checked,
+            limit: CACHE_INSPECTOR_LIMIT
+        });
+
+        renderCacheTotals(totals);
+        list.replaceChildren(...entries.map(createCacheEntryRow));
+        if (matching === 0) {
+            note.textContent = totals.entries === 0 ? 'The cache is empty' : 'No cached titles match';
+        } else if (matching > entries.length) {
+            note.textContent = `Showing the ${entries.length} most recent of ${matching.toLocaleString()}, search to narrow down`;
+        } else {
+            note.textContent = '';
+        }
+    } catch (error) {
+        console.error('[IMDBuddy Popup] Cannot load cache entries:', error);
+        list.replaceChildren();
+        note.textContent = '✗ Could not load the cache';
+    }
+}
+
+/**
+ * Show entry count, size, oldest entry and hit rate of the rating cache
+ * @param {Object} totals - { entries, bytes, oldest, hits, misses, hitRate } from the background
+ */
+function renderCacheTotals({ entries, bytes, oldest, hitRate }) {
+    const parts = [`${entries.toLocaleString()} entries`, formatBytes(bytes)];
+    if (oldest) parts.push(`oldest ${formatAge(oldest)}`);
+    parts.push(hitRate === null ? 'no lookups yet' : `${Math.round(hitRate * 100)}% hit rate`);
+
+    const element = document.getElementById('cacheTotals');
+    element.textContent = parts.join(' · ');
+    element.title = 'Hit rate counts lookups served from the cache since it was last cleared';
+}
+
+/**
+ * Build the list row for a cached lookup
+ * @param {Object} entry - Entry summary from the background:
+ *                         { key, query, status, timestamp, match }
+ * @returns {HTMLLIElement} Row with refresh and delete buttons
+ */
+function createCacheEntryRow({ key, query, status, timestamp, match }) {
+    const row = document.createElement('li');
+    row.className = 'cache-entry';
+    row.dataset.key = key;
+
+    const main = document.createElement('div');
+    main.className = 'cache-entry-main';
+
+    const title = document.createElement('div');
+    title.className = 'cache-entry-title';
+    if (match) {
+        title.textContent = match.year ? `${match.title} (${match.year}) ` : `${match.title} `;
+        const score = document.createElement('span');
+        score.className = 'cache-entry-score';
+        score.textContent = `★ ${match.score}`;
+        title.append(score);
+    } else {
+        title.classList.add('no-match');
+        title.textContent = `No match · ${CACHE_STATUS_LABELS[status] || status}`;
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'cache-entry-meta';
+    const searched = query.id ? `IMDb id ${query.id}` : `"${query.title}"${query.year ? ` ${query.year}` : ''}`;
+    meta.textContent = `${searched} · ${formatAge(timestamp)}`;
+    meta.title = key;
+
+    main.append(title, meta);
+    row.append(
+        main,
+        createCacheEntryButton('refresh', '↻', 'Look up again'),
+        createCacheEntryButton('delete', '✕', 'Remove from cache')
+    );
+    return row;
+}
+
+/**
+ * Build an action button for a cache list row
+ * @param {string} action - 'refresh' or 'delete', see handleCacheEntryAction
+ * @param {string} label - Button text
+ * @param {string} description - Tooltip and accessible name
+ * @returns {HTMLButtonElement} Button
+ */
+function createCacheEntryButton(action, label, description) {
+    const button = document.createElement('button');
+    button.className = 'cache-entry-action';
+    button.dataset.action = action;
+    button.textContent = label;
+    button.title = description;
+    button.setAttribute('aria-label', description);
+    return button;
+}
+
+/**
+ * Refresh or delete the cache entry whose row button was clicked
+ * @param {MouseEvent} event - Click on the cache list
+ */
+async function handleCacheEntryAction(event) {
+    const button = event.target.closest('.cache-entry-action');
+    if (!button) return;
+
+    const row = button.closest('.cache-entry');
+    const { key } = row.dataset;
+    row.querySelectorAll('.cache-entry-action').forEach(item => { item.disabled = true; });
+
+    try {
+        if (button.dataset.action === 'delete') {
+            await sendToBackground({ type: 'DELETE_CACHE_ENTRY', key });
+            row.remove();
+        } else {
+            button.textContent = '…';
+            const { entry } = await sendToBackground({ type: 'REFRESH_CACHE_ENTRY', key });
+            if (entry) {
+                row.replaceWith(createCacheEntryRow(entry));
+            } else {
+                row.remove();
+            }
+        }
+        console.log(`[IMDBuddy Popup] Cache entry ${button.dataset.action}:`, key);
+    } catch (error) {
+        console.error(`[IMDBuddy Popup] Cannot ${button.dataset.action} cache entry:`, error);
+        button.textContent = '✗';
+        button.title = 'Failed, try again';
+        row.querySelectorAll('.cache-entry-action').forEach(item => { item.disabled = false; });
+        return;
+    }
+    await updateCacheUsage();
+}
+
+/**
+ * Format how long ago a timestamp was (e.g., "3 days ago")
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Relative age
+ */
+function formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} ${days === 1 ? 'day' : 'days'} ago`;
+}
+
+/**
+ * Send a message to the background service worker
+ * @param {Object} message - Message with a type from MESSAGE_TYPES in config.js
+ * @returns {Promise<Object>} Response payload
+ * @throws {Error} When the background reports an error
+ */
+async function sendToBackground(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response) throw new Error(`No response for ${message.type}`);
+    if (response.error) throw new Error(response.error);
+    return response;
 }
 
 /**
@@ -158,32 +470,15 @@ async function handleClearCache() {
         button.disabled = true;
         button.classList.remove('success', 'error');
         
-        // Clear the cache using storage API
-        await chrome.storage.local.remove(['imdb_cache']);
-        
-        // Also try to call extension's clearCache if available
-        try {
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            await chrome.scripting.executeScript({
-                target: { tabId: tab.id },
-                func: () => {
-                    // Try to call the extension's clearCache method
-                    if (window.streamingRatings && typeof window.streamingRatings.clearCache === 'function') {
-                        window.streamingRatings.clearCache();
-                        console.log('[IMDBuddy] Cache cleared via extension method');
-                    }
-                    if (window.ApiService && typeof window.ApiService.clearCache === 'function') {
-                        window.ApiService.clearCache();
-                        console.log('[IMDBuddy] Cache cleared via ApiService method');
-                    }
-                }
-            });
-        } catch (scriptError) {
-            console.warn('[IMDBuddy Popup] Could not call extension clearCache method:', scriptError);
-        }
+        // The background owns the cache, in memory and in storage
+        await sendToBackground({ type: 'CLEAR_CACHE' });
         
         // Success state
         button.textContent = '✓ Cleared!';
+        await updateCacheUsage();
+        if (!document.getElementById('cacheInspector').hidden) {
+            await loadCacheEntries();
+        }
         button.classList.add('success');
         
         console.log('[IMDBuddy Popup] Cache cleared successfully');
@@ -0,0 +1,326 @@
+/**
+ * IMDBuddy - Watchlist Page Script
+ *
+ * Lists the titles saved from overlays with sorting, platform and type
+ * filters, and removal. Entries are read and removed through the
+ * background service worker, which owns the watchlist. Export and import
+ * run locally through WatchlistTransfer.
+ */
+
+// Readable names for the IMDb title types providers return
+const TYPE_LABELS = {
+    movie: 'Movie',
+    tvSeries: 'TV series',
+    tvMiniSeries: 'Mini-series',
+    tvMovie: 'TV movie',
+    tvSpecial: 'TV special',
+    tvEpisode: 'Episode',
+    short: 'Short'
+};
+
+let watchlistItems = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    setupEventListeners();
+
+    try {
+        watchlistItems = await RatingClient.getWatchlist();
+    } catch (error) {
+        console.error('[IMDBuddy Watchlist] Error loading watchlist:', error);
+        showEmpty('Could not load the watchlist');
+        return;
+    }
+    render();
+
+    // Titles saved or removed in a tab show up without a reload
+    Watchlist.onChange((items) => {
+        watchlistItems = items;
+        render();
+    });
+});
+
+/**
+ * Set up event listeners for the page controls
+ */
+function setupEventListeners() {
+    for (const id of ['sortSelect', 'platformFilter', 'typeFilter']) {
+        document.getElementById(id).addEventListener('change', render);
+    }
+
+    document.getElementById('exportJsonBtn').addEventListener('click', () => handleExport('json'));
+    document.getElementById('exportCsvBtn').addEventListener('click', () => handleExport('csv'));
+    document.getElementById('exportImdbBtn').addEventListener('click', () => handleExport('imdb'));
+
+    const importFile = document.getElementById('importFile');
+    document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', handleImport);
+}
+
+/**
+ * Render the filters and the filtered, sorted list
+ */
+function render() {
+    renderFilter(document.getElementById('platformFilter'), 'All platforms',
+        watchlistItems.map(item => item.platform), getPlatformName);
+    renderFilter(document.getElementById('typeFilter'), 'All types',
+        watchlistItems.map(item => item.type), getTypeLabel);
+
+    const items = sortItems(filterItems(watchlistItems), document.getElementById('sortSelect').value);
+    const list = document.getElementById('items');
+    list.replaceChildren(...items.map(createItem));
+
+    document.getElementById('count').textContent = items.length === watchlistItems.length
+        ? `${items.length} ${items.length === 1 ? 'title' : 'titles'}`
+        : `${items.length} of ${watchlistItems.length} titles`;
+
+    if (watchlistItems.length === 0) {
+        showEmpty('Nothing saved yet. Use the ☆ button on a rating to save a title.');
+    } else if (items.length === 0) {
+        showEmpty('No saved titles match these filters');
+    } else {
+        document.getElementById('empty').hidden = true;
+    }
+}
+
+/**
+ * Fill a filter with the values present in the watchlist, keeping the selection
+ * @param {HTMLSelectElement} select - Filter element
+ * @param {string} allLabel - Label of the "no filter" option
+ * @param {Array<string|null>} values - Values of all entries
+ * @param {Function} getLabel - Turns a value into its label
+ */
+function renderFilter(select, allLabel, values, getLabel) {
+    const selected = select.value;
+    const uniqueValues = [...new Set(values.filter(Boolean))].sort();
+
+    select.replaceChildren(new Option(allLabel, ''));
+    for (const value of uniqueValues) {
+        select.add(new Option(getLabel(value), value));
+    }
+    select.value = uniqueValues.includes(selected) ? selected : '';
+}
+
+/**
+ * Apply the platform and type filters
+ * @param {Array<Object>} items - Watchlist entries
+ * @returns {Array<Object>} Matching entries
+ */
+function filterItems(items) {
+    const platform = document.getElementById('platformFilter').value;
+    const type = document.getElementById('typeFilter').value;
+    return items.filter(item => (!platform || item.platform === platform) && (!type || item.type === type));
+}
+
+/**
+ * Sort entries
+ * @param {Array<Object>} items - Watchlist entries
+ * @param {string} order - Sort option value, e.g. "score-desc"
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortItems(items, order) {
+    const [field, direction] = order.split('-');
+    const sign = direction === 'asc' ? 1 : -1;
+    const getValue = {
+        added: item => item.addedAt,
+        // Titles without a score ('N/A') sort below every rated title
+        score: item => parseFloat(item.score) || -1,
+        title: item => item.title.toLowerCase()
+    }[field];
+
+    return [...items].sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA === valueB) return 0;
+        return (valueA > valueB ? 1 : -1) * sign;
+    });
+}
+
+/**
+ * Create the list element of an entry
+ * @param {Object} item - Watchlist entry
+ * @returns {HTMLElement} List item
+ */
+function createItem(item) {
+    const element = document.createElement('li');
+    element.className = 'item';
+
+    const score = document.createElement('div');
+    score.className = 'item-score';
+    score.textContent = item.score;
+
+    const details = document.createElement('div');
+    const title = document.createElement('a');
+    title.className = 'item-title';
+    title.href = item.url;
+    title.target = '_blank';
+    title.rel = 'noopener noreferrer';
+    title.textContent = item.year ? `${item.title} (${item.year})` : item.title;
+
+    const meta = document.createElement('div');
+    meta.className = 'item-meta';
+    meta.textContent = [
+        getTypeLabel(item.type),
+        item.platform && `Seen on ${getPlatformName(item.platform)}`,
+        `Added ${new Date(item.addedAt).toLocaleDateString()}`
+    ].filter(Boolean).join(' · ');
+    details.append(title, meta);
+
+    const remove = document.createElement('button');
+    remove.className = 'button';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Remove ${item.title} from watchlist`);
+    remove.addEventListener('click', () => handleRemove(item, remove));
+
+    element.append(score, details, remove);
+    return element;
+}
+
+/**
+ * Remove an entry; the list updates from the storage change
+ * @param {Object} item - Watchlist entry
+ * @param {HTMLButtonElement} button - The remove button
+ */
+async function handleRemove(item, button) {
+    button.disabled = true;
+    try {
+        await RatingClient.removeFromWatchlist(item.id);
+    } catch (error) {
+        console.error('[IMDBuddy Watchlist] Error removing title:', error);
+        button.disabled = false;
+    }
+}
+
+/**
+ * Download the watchlist in one of the export formats
+ * @param {string} format - 'json', 'csv' or 'imdb'
+ */
+async function handleExport(format) {
+    try {
+        const { items, overrides } = await RatingClient.exportData();
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (format === 'json') {
+            downloadFile(`imdbuddy-backup-${date}.json`, WatchlistTransfer.toJson(items, overrides), 'application/json');
+        } else if (format === 'csv') {
+            downloadFile(`imdbuddy-watchlist-${date}.csv`, WatchlistTransfer.toCsv(items), 'text/csv');
+        } else {
+            downloadFile(`imdbuddy-imdb-list-${date}.csv`, WatchlistTransfer.toImdbCsv(items), 'text/csv');
+        }
+    } catch (error) {
+        console.error('[IMDBuddy Watchlist] Error exporting watchlist:', error);
+        showReport(`Export failed: ${error.message}`, true);
+    }
+}
+
+/**
+ * Save text as a file through a temporary link
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Merge the chosen file into the watchlist and pinned matches
+ * @param {Event} event - Change event of the file input
+ */
+async function handleImport(event) {
+    const input = event.target;
+    const [file] = input.files;
+    if (!file) return;
+
+    try {
+        const parsed = WatchlistTransfer.parse(await file.text());
+        const reports = await RatingClient.importData(parsed);
+        showImportReport(reports, parsed.skipped);
+    } catch (error) {
+        console.error('[IMDBuddy Watchlist] Error importing file:', error);
+        showReport(`Could not import ${file.name}: ${error.message}`, true);
+    } finally {
+        // Allow importing the same file again
+        input.value = '';
+    }
+}
+
+/**
+ * Summarize an import, listing every conflict
+ * @param {{watchlist: Object, overrides: Object}} reports - Merge reports from the background
+ * @param {number} skipped - Rows dropped while parsing
+ */
+function showImportReport({ watchlist, overrides }, skipped) {
+    const invalid = skipped + watchlist.invalid + overrides.invalid;
+    const summary = [
+        `${watchlist.added} added`,
+        `${watchlist.updated} updated`,
+        `${watchlist.unchanged} already saved`,
+        overrides.added > 0 && `${overrides.added} pinned matches added`,
+        invalid > 0 && `${invalid} skipped without a valid IMDb id`
+    ].filter(Boolean).join(', ');
+
+    const conflicts = [
+        ...watchlist.conflicts.map(conflict => `${conflict.title}: kept ${conflict.fields
+            .map(field => `${field.field} “${field.kept}” over “${field.imported}”`).join(', ')}`),
+        ...overrides.conflicts.map(conflict => `Pinned match for “${conflict.key}”: kept ${conflict.kept} over ${conflict.imported}`)
+    ];
+
+    showReport(`Import done: ${summary}.`);
+    if (conflicts.length > 0) {
+        const report = document.getElementById('importReport');
+        report.append(` ${conflicts.length} ${conflicts.length === 1 ? 'conflict' : 'conflicts'} kept your saved values:`);
+        const list = document.createElement('ul');
+        for (const conflict of conflicts) {
+            const item = document.createElement('li');
+            item.textContent = conflict;
+            list.appendChild(item);
+        }
+        report.appendChild(list);
+    }
+}
+
+/**
+ * Show the result of an export or import
+ * @param {string} message - Message to show
+ * @param {boolean} isError - Whether the message reports an error
+ */
+function showReport(message, isError = false) {
+    const report = document.getElementById('importReport');
+    report.textContent = message;
+    report.classList.toggle('error', isError);
+}
+
+/**
+ * Show a message in place of the list
+ * @param {string} message - Message to show
+ */
+function showEmpty(message) {
+    const empty = document.getElementById('empty');
+    empty.textContent = message;
+    empty.hidden = false;
+}
+
+/**
+ * Get the display name of a platform
+ * @param {string} key - PLATFORM_CONFIGS key
+ * @returns {string} Platform name
+ */
+function getPlatformName(key) {
+    return PLATFORM_CONFIGS[key]?.name || key;
+}
+
+/**
+ * Get the display name of a title type
+ * @param {string|null} type - IMDb title type
+ * @returns {string} Type label
+ */
+function getTypeLabel(type) {
+    return TYPE_LABELS[type] || type || '';
+}
@@ -0,0 +1,237 @@
+/**
+ * ApiService request queue
+ * Run with: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+/**
+ * Create a fetch stub that records request URLs
+ * Responses can be held back to keep requests in flight.
+ * @param {Function} respond - Gets the URL, returns the JSON body
+ * @returns {Function} fetch stub with requests and hold()
+ */
+function createFetch(respond) {
+    let gate = null;
+    const fetch = async (url) => {
+        fetch.requests.push({ url, time: Date.now() });
+        if (gate) await gate.promise;
+        return { ok: true, status: 200, json: async () => respond(url) };
+    };
+    fetch.requests = [];
+    fetch.hold = () => {
+        gate = {};
+        gate.promise = new Promise(resolve => { gate.release = resolve; });
+        return () => {
+            const { release } = gate;
+            gate = null;
+            release();
+        };
+    };
+    return fetch;
+}
+
+const DUNE = { id: 'tt1160419', primaryTitle: 'Dune', type: 'movie', startYear: 2021, rating: { aggregateRating: 8, voteCount: 1000 } };
+
+/**
+ * Load and initialize ApiService
+ * @param {Function} fetch - fetch stub
+ * @param {Object} [config] - BASE_CONFIG overrides
+ * @returns {Promise<Object>} Module context
+ */
+async function loadApiService(fetch, config = {}) {
+    const { context } = loadBackground({ fetch, config });
+    await context.ApiService.init();
+    return context;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('candidate searches for one title share a queued request', async () => {
+    const fetch = createFetch(() => ({ titles: [DUNE] }));
+    const { ApiService } = await loadApiService(fetch);
+    const titleData = { title: 'Dune', type: 'movie', platform: 'netflix' };
+
+    const [first, second] = await Promise.all([ApiService.getCandidates(titleData), ApiService.getCandidates(titleData)]);
+
+    assert.equal(fetch.requests.length, 1);
+    assert.equal(first.candidates[0].id, 'tt1160419');
+    assert.equal(second.candidates[0].id, 'tt1160419');
+});
+
+test('candidate searches wait for a free request slot', async () => {
+    const fetch = createFetch(() => ({ titles: [DUNE] }));
+    const { ApiService } = await loadApiService(fetch, { MAX_CONCURRENT_REQUESTS: 1 });
+    const release = fetch.hold();
+
+    const rating = ApiService.getRating({ title: 'Dune', type: 'movie', platform: 'netflix' });
+    await sleep(20);
+    const candidates = ApiService.getCandidates({ title: 'Heat', type: 'movie', platform: 'netflix' });
+    await sleep(250);
+    assert.equal(fetch.requests.length, 1, 'the search ran while the lookup held the only slot');
+
+    release();
+    await Promise.all([rating, candidates]);
+    assert.equal(fetch.requests.length, 2);
+});
+
+/**
+ * Get the shortest gap between consecutive requests
+ * @param {Array<{time: number}>} requests - Recorded requests
+ * @returns {number} Gap in milliseconds
+ */
+function shortestGap(requests) {
+    const times = requests.map(request => request.time).sort((a, b) => a - b);
+    return Math.min(...times.slice(1).map((time, index) => time - times[index]));
+}
+
+const SERIES = { id: 'tt0903747', type: 'tvSeries', plot: 'A teacher turns to crime.', genres: ['Drama'] };
+
+test('details requests are spaced by the rate limiter', async () => {
+    const fetch = createFetch(url => (/\/titles\/tt\d+$/.test(url) ? { ...SERIES, id: url.split('/').pop() } : {}));
+    const { ApiService, BASE_CONFIG } = await loadApiService(fetch);
+
+    // Series details take three requests each; all six must respect REQUEST_DELAY
+    await Promise.all([ApiService.getDetails('tt0903747'), ApiService.getDetails('tt0944947')]);
+
+    assert.equal(fetch.requests.length, 6);
+    // Timers may fire a millisecond early
+    assert.ok(shortestGap(fetch.requests) >= BASE_CONFIG.REQUEST_DELAY - 2, `gap ${shortestGap(fetch.requests)}ms`);
+});
+
+test('details for one title are fetched once for all callers', async () => {
+    const fetch = createFetch(url => (/\/titles\/tt\d+$/.test(url) ? SERIES : {}));
+    const { ApiService } = await loadApiService(fetch);
+
+    const [first, second] = await Promise.all([ApiService.getDetails('tt0903747'), ApiService.getDetails('tt0903747')]);
+
+    assert.equal(fetch.requests.length, 3);
+    assert.equal(first.plot, SERIES.plot);
+    assert.equal(second, first);
+});
+
+test('details wait for a free request slot', async () => {
+    const fetch = createFetch(url => (url.includes('/search/') ? { titles: [DUNE] } : SERIES));
+    const { ApiService } = await loadApiService(fetch, { MAX_CONCURRENT_REQUESTS: 1 });
+    const release = fetch.hold();
+
+    const rating = ApiService.getRating({ title: 'Dune', type: 'movie', platform: 'netflix' });
+    await sleep(20);
+    const details = ApiService.getDetails('tt0903747');
+    await sleep(250);
+    assert.equal(fetch.requests.length, 1, 'details were fetched while the lookup held the only slot');
+
+    release();
+    await Promise.all([rating, details]);
+    assert.equal(fetch.requests.length, 4);
+});
+
+test('episode pages are each rate-limited', async () => {
+    const pages = { '': 'page2', page2: 'page3', page3: undefined };
+    const fetch = createFetch((url) => {
+        const token = new URL(url).searchParams.get('pageToken') || '';
+        return { episodes: [{ id: `tt${token || 'page1'}`, season: '1', episodeNumber: 1 }], nextPageToken: pages[token] };
+    });
+    const { ApiService, BASE_CONFIG } = await loadApiService(fetch);
+
+    const episodes = await ApiService.getEpisodes('tt0903747', 1);
+
+    assert.equal(episodes.length, 3);
+    assert.equal(fetch.requests.length, 3);
+    assert.ok(shortestGap(fetch.requests) >= BASE_CONFIG.REQUEST_DELAY - 2, `gap ${shortestGap(fetch.requests)}ms`);
+});
+
+test('prioritizeRating moves a queued lookup up without a new lookup', async () => {
+    const fetch = createFetch(() => ({ titles: [DUNE] }));
+    const { ApiService, LOOKUP_PRIORITY } = await loadApiService(fetch, { MAX_CONCURRENT_REQUESTS: 1 });
+    const release = fetch.hold();
+    const titles = ['Dune', 'Heat', 'Alien'].map(title => ({ title, type: 'movie', platform: 'netflix' }));
+
+    const ratings = titles.map(titleData => ApiService.getRating(titleData, { priority: LOOKUP_PRIORITY.NEAR }));
+    await sleep(20);
+    const misses = ApiService.cacheStats.misses;
+
+    assert.equal(ApiService.prioritizeRating(titles[2], LOOKUP_PRIORITY.VISIBLE), true);
+    assert.equal(ApiService.requestQueue[0].title, 'Alien');
+    assert.equal(ApiService.prioritizeRating(titles[2], LOOKUP_PRIORITY.NEAR), false, 'never lowers the priority');
+    assert.equal(ApiService.prioritizeRating(titles[0], LOOKUP_PRIORITY.VISIBLE), false, 'in flight, nothing to move');
+    assert.equal(ApiService.cacheStats.misses, misses);
+
+    release();
+    await Promise.all(ratings);
+    assert.equal(ApiService.prioritizeRating(titles[2], LOOKUP_PRIORITY.VISIBLE), false, 'settled lookups are left alone');
+    assert.equal(fetch.requests.length, 3);
+});
+
+test('refreshing a found rating keeps it when the provider fails', async () => {
+    const fetch = async (url) => {
+        fetch.requests.push(url);
+        return { ok: false, status: 503, statusText: 'Service Unavailable', json: async () => ({}) };
+    };
+    fetch.requests = [];
+    const { ApiService, CacheStore, BASE_CONFIG, LOOKUP_STATUS } = await loadApiService(fetch);
+    const rating = { id: 'tt1160419', title: 'Dune', score: 8 };
+    CacheStore.set(BASE_CONFIG.STORAGE_KEY, 'dune_movie_2021', { data: rating, status: LOOKUP_STATUS.FOUND, timestamp: 1 });
+    const stats = { ...ApiService.cacheStats };
+
+    const summary = await ApiService.refreshCacheEntry('dune_movie_2021');
+
+    assert.ok(fetch.requests[0].endsWith('/titles/tt1160419'), 'refreshed by IMDb id');
+    assert.equal(summary.status, LOOKUP_STATUS.FOUND);
+    assert.equal((await CacheStore.get(BASE_CONFIG.STORAGE_KEY, 'dune_movie_2021')).data.score, 8);
+    assert.deepEqual({ ...ApiService.cacheStats }, stats, 'not counted as a hit or miss');
+});
+
+test('refreshing a miss searches again', async () => {
+    const fetch = createFetch(() => ({ titles: [DUNE] }));
+    const { ApiService, CacheStore, BASE_CONFIG, LOOKUP_STATUS } = await loadApiService(fetch);
+    CacheStore.set(BASE_CONFIG.STORAGE_KEY, 'dune_movie', { data: null, status: LOOKUP_STATUS.NO_RESULTS, timestamp: Date.now() });
+
+    const summary = await ApiService.refreshCacheEntry('dune_movie');
+
+    assert.ok(fetch.requests[0].url.includes('/search/titles'), 'searched by title');
+    assert.equal(summary.status, LOOKUP_STATUS.FOUND);
+    assert.equal(ApiService.cacheStats.misses, 0);
+});
+
+test('a failed background refresh is not retried after a restart', async () => {
+    const fetch = async (url) => {
+        fetch.requests.push(url);
+        return { ok: false, status: 503, statusText: 'Service Unavailable', json: async () => ({}) };
+    };
+    fetch.requests = [];
+    const first = loadBackground({ fetch });
+    const { ApiService, CacheStore, BASE_CONFIG, LOOKUP_STATUS } = first.context;
+    await ApiService.init();
+    const rating = { id: 'tt1160419', title: 'Dune', score: 8 };
+    const stale = Date.now() - ApiService.getCacheSoftMaxAge() - 1000;
+    CacheStore.set(BASE_CONFIG.STORAGE_KEY, 'dune_movie', { data: rating, status: LOOKUP_STATUS.FOUND, timestamp: stale });
+
+    assert.equal((await ApiService.lookup('dune_movie', { title: 'Dune', type: 'movie' })).score, 8);
+    await ApiService.pendingRequests.get('dune_movie');
+    await CacheStore.flush();
+    assert.equal(fetch.requests.length, 1);
+
+    // A new service worker, with only what was stored
+    const { context } = loadBackground({ fetch, storage: { ...first.local } });
+    await context.ApiService.init();
+    assert.equal((await context.ApiService.lookup('dune_movie', { title: 'Dune', type: 'movie' })).score, 8);
+    assert.equal(context.ApiService.pendingRequests.size, 0, 'refreshed again');
+    assert.equal(fetch.requests.length, 1);
+});
+
+test('a short CACHE_MAX_AGE still refreshes ratings before they expire', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const fetch = createFetch(url => ({ ...DUNE, rating: { aggregateRating: 8.1, voteCount: 1200 }, id: url.split('/').pop() }));
+    const { ApiService, CacheStore, BASE_CONFIG, LOOKUP_STATUS } = await loadApiService(fetch, { CACHE_MAX_AGE: 2 * day });
+    const rating = { id: 'tt1160419', title: 'Dune', score: 8 };
+    CacheStore.set(BASE_CONFIG.STORAGE_KEY, 'dune_movie', { data: rating, status: LOOKUP_STATUS.FOUND, timestamp: Date.now() - day });
+
+    assert.equal((await ApiService.lookup('dune_movie', { title: 'Dune', type: 'movie' })).score, 8, 'served while refreshing');
+    await ApiService.pendingRequests.get('dune_movie');
+
+    assert.equal(fetch.requests.length, 1);
+    assert.equal((await CacheStore.get(BASE_CONFIG.STORAGE_KEY, 'dune_movie')).data.score, 8.1);
+});
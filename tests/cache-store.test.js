@@ -0,0 +1,93 @@
+/**
+ * CacheStore index writes
+ * Run with: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Load CacheStore with one namespace holding one flushed entry
+ * @param {Object} [config] - BASE_CONFIG overrides
+ * @returns {Promise<{CacheStore: Object, local: Object, readIndex: Function}>} Store, raw storage and an index reader
+ */
+async function openStore(config = {}) {
+    const { context, local } = loadBackground({ config: { CACHE_WRITE_DELAY: 10, ...config } });
+    const { CacheStore } = context;
+    await CacheStore.open('test_cache', { describe: entry => ({ timestamp: entry.timestamp }) });
+    CacheStore.set('test_cache', 'dune', { timestamp: 1 });
+    await CacheStore.flush();
+    const readIndex = () => JSON.parse(local.test_cache_index);
+    return { CacheStore, local, readIndex };
+}
+
+test('cache hits do not rewrite the index', async () => {
+    const { CacheStore, readIndex } = await openStore({ CACHE_ACCESS_WRITE_DELAY: 200 });
+    const stored = readIndex().dune.lastAccess;
+
+    await sleep(5);
+    CacheStore.touch('test_cache', 'dune');
+    await sleep(50);
+
+    assert.equal(readIndex().dune.lastAccess, stored);
+    assert.ok(CacheStore.getMeta('test_cache', 'dune').lastAccess > stored, 'kept in memory for eviction');
+});
+
+test('lastAccess is stored with the next index write', async () => {
+    const { CacheStore, readIndex } = await openStore();
+
+    await sleep(5);
+    CacheStore.touch('test_cache', 'dune');
+    const touched = CacheStore.getMeta('test_cache', 'dune').lastAccess;
+    CacheStore.set('test_cache', 'heat', { timestamp: 2 });
+    await CacheStore.flush();
+
+    assert.equal(readIndex().dune.lastAccess, touched);
+    assert.equal(CacheStore.accessTimer, null, 'nothing left to store');
+});
+
+test('lastAccess is stored after CACHE_ACCESS_WRITE_DELAY', async () => {
+    const { CacheStore, readIndex } = await openStore({ CACHE_ACCESS_WRITE_DELAY: 30 });
+
+    await sleep(5);
+    CacheStore.touch('test_cache', 'dune');
+    const touched = CacheStore.getMeta('test_cache', 'dune').lastAccess;
+    await sleep(80);
+
+    assert.equal(readIndex().dune.lastAccess, touched);
+});
+
+test('Safari quota errors evict entries and retry the write', async () => {
+    // Room for about nine of these entries with their index
+    const { context, local } = loadBackground({ safari: true, quotaBytes: 2200, config: { CACHE_WRITE_DELAY: 10 } });
+    const { CacheStore } = context;
+    await CacheStore.open('test_cache', { describe: entry => ({ timestamp: entry.timestamp }) });
+    const plot = 'x'.repeat(100);
+    for (let i = 0; i < 8; i++) CacheStore.set('test_cache', `title${i}`, { timestamp: i, plot });
+    await CacheStore.flush();
+
+    for (let i = 8; i < 12; i++) CacheStore.set('test_cache', `title${i}`, { timestamp: i, plot });
+    await CacheStore.flush();
+
+    assert.equal(CacheStore.evictedCount, 3);
+    assert.ok(local['test_cache:title11'], 'the retried write landed');
+    assert.equal(local['test_cache:title0'], undefined, 'least recently used entries were evicted');
+    assert.deepEqual(Object.keys(JSON.parse(local.test_cache_index)), [...CacheStore.keys('test_cache')]);
+});
+
+test('entry sizes count the UTF-8 bytes stored, index record included', async () => {
+    const { CacheStore, local } = await openStore();
+    const entry = { timestamp: 1, data: { title: 'गली बॉय', originalTitle: 'गली बॉय', plot: 'मुंबई की गलियों से' } };
+
+    CacheStore.set('test_cache', 'gully_boy_movie', entry);
+    await CacheStore.flush();
+
+    const storageKey = 'test_cache:gully_boy_movie';
+    const entryBytes = Buffer.byteLength(storageKey + JSON.stringify(local[storageKey]));
+    const { size } = CacheStore.getMeta('test_cache', 'gully_boy_movie');
+    const recordBytes = size - entryBytes;
+    assert.ok(recordBytes > 40 && recordBytes < 120, `index record counted as ${recordBytes} bytes`);
+});
@@ -0,0 +1,97 @@
+/**
+ * FuzzyMatcher scoring
+ * Run with: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+const { FuzzyMatcher } = loadBackground().context;
+
+/**
+ * Build a search result in the shape providers return
+ * @param {string} id - IMDb id
+ * @param {string} primaryTitle - Title
+ * @param {Object} [fields] - type, startYear, endYear, voteCount, originalTitle
+ * @returns {Object} Search result
+ */
+function candidate(id, primaryTitle, { type = 'movie', startYear = null, endYear = null, voteCount = 1000, originalTitle } = {}) {
+    return { id, primaryTitle, originalTitle, type, startYear, endYear, rating: { aggregateRating: 7, voteCount } };
+}
+
+test('the year hint picks the remake', () => {
+    const results = [
+        candidate('tt0087182', 'Dune', { startYear: 1984, voteCount: 170000 }),
+        candidate('tt1160419', 'Dune', { startYear: 2021, voteCount: 950000 })
+    ];
+
+    assert.equal(FuzzyMatcher.findBestMatch('Dune', results, 'movie', 2021).result.id, 'tt1160419');
+    assert.equal(FuzzyMatcher.findBestMatch('Dune', results, 'movie', 1984).result.id, 'tt0087182');
+});
+
+test('a series matches any year it ran', () => {
+    const results = [
+        candidate('tt0290978', 'The Office', { type: 'tvSeries', startYear: 2001, endYear: 2003 }),
+        candidate('tt0386676', 'The Office', { type: 'tvSeries', startYear: 2005, endYear: 2013 })
+    ];
+
+    assert.equal(FuzzyMatcher.findBestMatch('The Office', results, 'series', 2009).result.id, 'tt0386676');
+});
+
+test('the expected type breaks a tie, not result order', () => {
+    const results = [
+        candidate('tt0000001', 'Shogun', { type: 'movie', startYear: 2024 }),
+        candidate('tt2788316', 'Shogun', { type: 'tvSeries', startYear: 2024 })
+    ];
+
+    assert.equal(FuzzyMatcher.findBestMatch('Shogun', results, 'series').result.id, 'tt2788316');
+    assert.equal(FuzzyMatcher.findBestMatch('Shogun', results, 'movie').result.id, 'tt0000001');
+});
+
+test('popularity breaks a tie without year or type hints', () => {
+    const results = [
+        candidate('tt0000002', 'Shogun', { type: 'tvSeries', voteCount: 4000 }),
+        candidate('tt2788316', 'Shogun', { type: 'tvSeries', voteCount: 200000 })
+    ];
+
+    assert.equal(FuzzyMatcher.findBestMatch('Shogun', results).result.id, 'tt2788316');
+});
+
+test('hints never promote a title below MIN_MATCH_SCORE', () => {
+    const results = [candidate('tt0000003', 'Completely Different', { startYear: 2021, voteCount: 5000000 })];
+
+    assert.equal(FuzzyMatcher.findBestMatch('Dune', results, 'movie', 2021), null);
+});
+
+test('normalize keeps Devanagari titles and their vowel signs', () => {
+    assert.equal(FuzzyMatcher.normalize('दंगल!'), 'दंगल');
+    assert.equal(FuzzyMatcher.normalize('  गली   बॉय '), 'गली बॉय');
+    assert.equal(FuzzyMatcher.getSimilarity('दंगल', 'दंगल'), 1);
+    assert.ok(FuzzyMatcher.getSimilarity('दंगल', 'गली बॉय') < 0.5);
+});
+
+test('normalize drops accents on Latin titles', () => {
+    assert.equal(FuzzyMatcher.normalize('Amélie'), 'amelie');
+    assert.equal(FuzzyMatcher.normalize('La Casa de Papel: Señor'), 'la casa de papel senor');
+
+    const match = FuzzyMatcher.findBestMatch('Amelie', [candidate('tt0211915', 'Amélie', { startYear: 2001 })], 'movie');
+    assert.equal(match.score, 1);
+});
+
+test('localized titles match originalTitle', () => {
+    const results = [
+        candidate('tt0000004', 'Dangerous', { startYear: 2016 }),
+        candidate('tt5074352', 'Dangal', { originalTitle: 'दंगल', startYear: 2016 })
+    ];
+
+    const match = FuzzyMatcher.findBestMatch('दंगल', results, 'movie', 2016);
+    assert.equal(match.result.id, 'tt5074352');
+    assert.equal(match.matchedTitle, 'दंगल');
+});
+
+test('candidates with only an originalTitle are matched', () => {
+    const results = [{ id: 'tt5074352', originalTitle: 'दंगल', type: 'movie', startYear: 2016 }];
+
+    assert.equal(FuzzyMatcher.findBestMatch('दंगल', results, 'movie').result.id, 'tt5074352');
+});
@@ -0,0 +1,118 @@
+/**
+ * IMDBuddy - Background test helper
+ *
+ * Loads core modules into a fresh VM context, the way the service worker
+ * imports them, with chrome.storage kept in memory. Core modules register
+ * themselves on window, which is the context itself here.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const CORE_DIR = path.join(__dirname, '..', '..', 'shared', 'core');
+const SAFARI_COMPATIBILITY = path.join(__dirname, '..', '..', 'build-tools', 'safari-compatibility.js');
+
+// Same order as the service worker's importScripts
+const BACKGROUND_MODULES = [
+    'config.js',
+    'storage.js',
+    'cache-store.js',
+    'migrations.js',
+    'fuzzy-matcher.js',
+    'rating-providers.js',
+    'api-service.js'
+];
+
+/**
+ * Create an in-memory chrome.storage area
+ * Values are copied through JSON like the real storage.
+ * @param {Object} store - Backing object, by storage key
+ * @param {number} quotaBytes - Writes leaving more than this many bytes stored are rejected
+ * @returns {Object} Storage area with get, set and remove
+ */
+function createStorageArea(store, quotaBytes) {
+    // Counted like storage.local: UTF-8 bytes of the key and the serialized value
+    const usedBytes = items => Object.entries(items).reduce((total, [key, value]) => total + Buffer.byteLength(key + JSON.stringify(value)), 0);
+    return {
+        async get(keys) {
+            const result = {};
+            for (const key of [].concat(keys)) {
+                if (Object.prototype.hasOwnProperty.call(store, key)) result[key] = store[key];
+            }
+            return result;
+        },
+        async set(items) {
+            const copy = JSON.parse(JSON.stringify(items));
+            if (usedBytes({ ...store, ...copy }) > quotaBytes) {
+                throw new Error('QUOTA_BYTES quota exceeded');
+            }
+            Object.assign(store, copy);
+        },
+        async remove(keys) {
+            for (const key of [].concat(keys)) delete store[key];
+        }
+    };
+}
+
+/**
+ * Wrap a storage area in Safari's callback API, failures set runtime.lastError
+ * @param {Object} area - Promise-based storage area
+ * @param {Object} runtime - chrome.runtime stub
+ * @returns {Object} Storage area taking callbacks
+ */
+function createCallbackArea(area, runtime) {
+    const wrap = method => (arg, callback) => {
+        area[method](arg).then(callback, (error) => {
+            runtime.lastError = { message: error.message };
+            callback();
+            runtime.lastError = undefined;
+        });
+    };
+    return { get: wrap('get'), set: wrap('set'), remove: wrap('remove') };
+}
+
+/**
+ * Load the background core modules
+ * @param {Object} [options] - Load options
+ * @param {Object} [options.storage] - Initial chrome.storage.local values; objects are stored as JSON strings
+ * @param {Function} [options.fetch] - fetch implementation, Node's by default
+ * @param {Object} [options.config] - BASE_CONFIG values to override
+ * @param {number} [options.quotaBytes] - storage.local quota, unlimited by default
+ * @param {boolean} [options.safari] - Use callback storage behind safari-compatibility.js, like Safari
+ * @returns {{context: Object, local: Object}} The module context and the raw storage.local values
+ */
+function loadBackground({ storage = {}, fetch = globalThis.fetch, config = {}, quotaBytes = Infinity, safari = false } = {}) {
+    const local = {};
+    for (const [key, value] of Object.entries(storage)) {
+        local[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    const silent = () => {};
+    const runtime = { lastError: undefined };
+    const area = createStorageArea(local, quotaBytes);
+    const context = {
+        chrome: { runtime, storage: { local: safari ? createCallbackArea(area, runtime) : area } },
+        console: { log: silent, info: silent, warn: silent, error: silent, group: silent, groupEnd: silent },
+        fetch,
+        setTimeout,
+        clearTimeout,
+        URL,
+        URLSearchParams,
+        TextEncoder
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    if (safari) {
+        vm.runInContext(fs.readFileSync(SAFARI_COMPATIBILITY, 'utf8'), context, { filename: 'safari-compatibility.js' });
+    }
+    for (const file of BACKGROUND_MODULES) {
+        vm.runInContext(fs.readFileSync(path.join(CORE_DIR, file), 'utf8'), context, { filename: file });
+    }
+    // A pending lastAccess write would keep each test file running for seconds
+    Object.assign(context.BASE_CONFIG, { VERBOSE: false, DEBUG: false, CACHE_ACCESS_WRITE_DELAY: 100 }, config);
+    return { context, local };
+}
+
+module.exports = { loadBackground };
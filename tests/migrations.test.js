@@ -0,0 +1,132 @@
+/**
+ * Schema migrations
+ * Run with: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+/**
+ * Load the background modules with the caches opened, like ApiService.init
+ * @param {Object} [storage] - Initial chrome.storage.local values
+ * @returns {Promise<{context: Object, local: Object}>} Module context and raw storage
+ */
+async function openCaches(storage = {}) {
+    const loaded = loadBackground({ storage });
+    const { CacheStore, BASE_CONFIG } = loaded.context;
+    const describe = entry => ({ timestamp: entry.timestamp });
+    await CacheStore.open(BASE_CONFIG.STORAGE_KEY, { describe, keep: [BASE_CONFIG.SCHEMA_VERSION_KEY] });
+    await CacheStore.open(BASE_CONFIG.DETAILS_KEY, { describe });
+    return loaded;
+}
+
+// A rating cache from before versions were recorded, still at version 2
+const LEGACY_CACHE = {
+    imdb_cache: {
+        imdb_cache_schema_version: { value: 2 },
+        dune_movie: { timestamp: 1, data: { id: 'tt1160419', score: 8 } },
+        unknown_movie: { timestamp: 1, data: null }
+    }
+};
+
+test('2 -> 3 records the status of entries without one', async () => {
+    const { context } = await openCaches();
+    const { Migrations, LOOKUP_STATUS, BASE_CONFIG } = context;
+    const { migrateEntry } = Migrations.STEPS.find(step => step.key === BASE_CONFIG.STORAGE_KEY && step.from === 2);
+
+    const matched = { timestamp: 1, data: { id: 'tt1160419' } };
+    const failed = { timestamp: 1, data: null, status: LOOKUP_STATUS.ERROR };
+
+    assert.equal(migrateEntry(matched).status, LOOKUP_STATUS.FOUND);
+    assert.equal(migrateEntry({ timestamp: 1, data: null }).status, LOOKUP_STATUS.NO_RESULTS);
+    assert.equal(migrateEntry(failed), failed, 'entries with a status are kept as they are');
+});
+
+test('applyStep reports the entries it changed and removed', async () => {
+    const { context } = await openCaches();
+    const step = {
+        migrateEntry: (entry, key) => {
+            if (key === 'gone') return null;
+            return key === 'renamed' ? { ...entry, title: 'New' } : entry;
+        }
+    };
+    const data = { kept: { title: 'Same' }, renamed: { title: 'Old' }, gone: { title: 'Gone' } };
+
+    const result = context.Migrations.applyStep(step, data);
+
+    assert.deepEqual([...result.changed], ['renamed']);
+    assert.deepEqual([...result.removed], ['gone']);
+    assert.equal(data.renamed.title, 'Old', 'the original data is left alone');
+});
+
+test('a dry run writes nothing', async () => {
+    const { context, local } = await openCaches(LEGACY_CACHE);
+    const { Migrations, BASE_CONFIG } = context;
+    const stored = { ...local };
+
+    const reports = await Migrations.run({ dryRun: true });
+
+    const report = reports.find(item => item.key === BASE_CONFIG.STORAGE_KEY);
+    assert.equal(report.from, 2);
+    assert.equal(report.to, 3);
+    assert.equal(report.changed, 2);
+    assert.deepEqual({ ...local }, stored);
+    assert.equal(local[BASE_CONFIG.SCHEMA_VERSIONS_KEY], undefined, 'versions were saved');
+});
+
+test('a run migrates entries and saves the versions', async () => {
+    const { context, local } = await openCaches(LEGACY_CACHE);
+    const { Migrations, BASE_CONFIG, LOOKUP_STATUS } = context;
+
+    await Migrations.run();
+
+    assert.equal(JSON.parse(local['imdb_cache:dune_movie']).status, LOOKUP_STATUS.FOUND);
+    assert.equal(JSON.parse(local['imdb_cache:unknown_movie']).status, LOOKUP_STATUS.NO_RESULTS);
+    assert.equal(JSON.parse(local[BASE_CONFIG.SCHEMA_VERSIONS_KEY])[BASE_CONFIG.STORAGE_KEY], 3);
+    assert.equal(local['imdb_cache:imdb_cache_schema_version'], undefined, 'the legacy marker is removed');
+});
+
+test('detectVersion reads the legacy marker', async () => {
+    const { context } = await openCaches(LEGACY_CACHE);
+    const { Migrations, BASE_CONFIG } = context;
+
+    assert.equal(await Migrations.detectVersion(BASE_CONFIG.STORAGE_KEY), 2);
+});
+
+test('detectVersion puts empty keys at the current version and other data at 1', async () => {
+    const { context } = await openCaches({ imdb_overrides: { dune_movie: { id: 'tt1160419' } } });
+    const { Migrations, BASE_CONFIG } = context;
+
+    assert.equal(await Migrations.detectVersion(BASE_CONFIG.STORAGE_KEY), 3);
+    assert.equal(await Migrations.detectVersion(BASE_CONFIG.WATCHLIST_KEY), 1);
+    assert.equal(await Migrations.detectVersion(BASE_CONFIG.OVERRIDES_KEY), 1);
+});
+
+test('keys without a migration path are cleared only when disposable', async () => {
+    const { context, local } = await openCaches({
+        imdbuddy_schema_versions: { imdb_cache: 3, imdbuddy_details: 1, imdb_overrides: 1, imdbuddy_watchlist: 1 },
+        imdbuddy_details: { tt1160419: { timestamp: 1, plot: 'Spice.' } },
+        imdb_overrides: { dune_movie: { id: 'tt1160419' } }
+    });
+    const { Migrations, CacheStore, BASE_CONFIG } = context;
+    // Steps from version 2 only, so version 1 has no path
+    const migrate = data => data;
+    Migrations.STEPS.push(
+        { key: BASE_CONFIG.DETAILS_KEY, from: 2, to: 3, description: 'Details 2 -> 3', migrate },
+        { key: BASE_CONFIG.OVERRIDES_KEY, from: 2, to: 3, description: 'Overrides 2 -> 3', migrate }
+    );
+
+    const reports = await Migrations.run();
+
+    const details = reports.find(report => report.key === BASE_CONFIG.DETAILS_KEY);
+    assert.equal(details.cleared, true);
+    assert.equal(CacheStore.size(BASE_CONFIG.DETAILS_KEY), 0);
+    assert.equal(local['imdbuddy_details:tt1160419'], undefined);
+
+    const overrides = reports.find(report => report.key === BASE_CONFIG.OVERRIDES_KEY);
+    assert.equal(overrides.cleared, false);
+    assert.equal(overrides.to, 1);
+    assert.deepEqual(JSON.parse(local[BASE_CONFIG.OVERRIDES_KEY]), { dune_movie: { id: 'tt1160419' } });
+    assert.equal(JSON.parse(local[BASE_CONFIG.SCHEMA_VERSIONS_KEY])[BASE_CONFIG.OVERRIDES_KEY], 1);
+});
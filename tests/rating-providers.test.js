@@ -0,0 +1,138 @@
+/**
+ * Rating providers against a local mock of imdbapi.dev and OMDb
+ * Run with: node --test tests/
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { loadBackground } = require('./helpers/background');
+
+// Responses by request path and query, filled in per test
+let routes = {};
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        const url = new URL(request.url, baseUrl);
+        const route = routes[`${url.pathname}?${url.searchParams.get('query') ?? url.searchParams.get('s') ?? url.searchParams.get('i')}`];
+        if (!route) {
+            response.writeHead(404).end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(route));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+/**
+ * Load the providers pointed at the mock server
+ * @param {Object} [omdb] - OMDb settings, without an API key OMDb is skipped
+ * @returns {Object} Module context
+ */
+function loadProviders(omdb = { apiKey: 'test-key' }) {
+    const { context } = loadBackground({
+        config: {
+            PROVIDERS: {
+                imdbapi: { url: `${baseUrl}/imdbapi` },
+                omdb: { url: `${baseUrl}/omdb`, ...omdb }
+            }
+        }
+    });
+    return context;
+}
+
+const DUNE = {
+    id: 'tt1160419',
+    primaryTitle: 'Dune',
+    type: 'movie',
+    startYear: 2021,
+    rating: { aggregateRating: 8, voteCount: 950000 }
+};
+
+test('imdbapi match is used without asking OMDb', async () => {
+    routes = { '/imdbapi/search/titles?Dune': { titles: [DUNE] } };
+    const { ApiService, LOOKUP_STATUS } = loadProviders();
+
+    const result = await ApiService.fetchFromApi('Dune', 'movie', 'dune_movie');
+
+    assert.equal(result.status, LOOKUP_STATUS.FOUND);
+    assert.equal(result.data.id, 'tt1160419');
+    assert.equal(result.data.score, 8);
+    assert.equal(result.candidates[0].provider, 'imdbapi');
+});
+
+test('falls back to OMDb when imdbapi has no results', async () => {
+    routes = {
+        '/imdbapi/search/titles?Dune': { titles: [] },
+        '/omdb/?Dune': { Response: 'True', Search: [{ imdbID: 'tt1160419', Title: 'Dune', Type: 'movie', Year: '2021' }] },
+        '/omdb/?tt1160419': {
+            Response: 'True',
+            Title: 'Dune',
+            Type: 'movie',
+            Year: '2021',
+            imdbRating: '8.0',
+            imdbVotes: '950,000',
+            Metascore: '74',
+            Ratings: [{ Source: 'Rotten Tomatoes', Value: '83%' }]
+        }
+    };
+    const { ApiService, LOOKUP_STATUS } = loadProviders();
+
+    const result = await ApiService.fetchFromApi('Dune', 'movie', 'dune_movie');
+
+    assert.equal(result.status, LOOKUP_STATUS.FOUND);
+    assert.equal(result.data.votes, '950.0K');
+    assert.deepEqual([...result.data.scores.map(score => score.source)], ['imdb', 'metacritic', 'rottenTomatoes']);
+    assert.equal(result.candidates[0].provider, 'omdb');
+});
+
+test('falls back to OMDb when imdbapi fails', async () => {
+    routes = {
+        '/omdb/?Dune': { Response: 'True', Search: [{ imdbID: 'tt1160419', Title: 'Dune', Type: 'movie', Year: '2021' }] },
+        '/omdb/?tt1160419': { Response: 'True', Title: 'Dune', Type: 'movie', Year: '2021', imdbRating: '8.0', imdbVotes: '1' }
+    };
+    const { ApiService, LOOKUP_STATUS } = loadProviders();
+
+    const result = await ApiService.fetchFromApi('Dune', 'movie', 'dune_movie');
+
+    assert.equal(result.status, LOOKUP_STATUS.FOUND);
+    assert.equal(result.data.id, 'tt1160419');
+});
+
+test('OMDb is skipped without an API key', async () => {
+    routes = { '/imdbapi/search/titles?Dune': { titles: [] } };
+    const { ApiService, LOOKUP_STATUS } = loadProviders({ apiKey: '' });
+
+    const result = await ApiService.fetchFromApi('Dune', 'movie', 'dune_movie');
+
+    assert.equal(result.status, LOOKUP_STATUS.NO_RESULTS);
+});
+
+test('OMDb "Too many results." is a miss, not an error', async () => {
+    routes = {
+        '/imdbapi/search/titles?The': { titles: [] },
+        '/omdb/?The': { Response: 'False', Error: 'Too many results.' }
+    };
+    const { ApiService, LOOKUP_STATUS } = loadProviders();
+
+    const result = await ApiService.fetchFromApi('The', null, 'the_unknown');
+
+    assert.equal(result.status, LOOKUP_STATUS.NO_RESULTS);
+});
+
+test('other OMDb errors fail the lookup', async () => {
+    routes = {
+        '/imdbapi/search/titles?Dune': { titles: [] },
+        '/omdb/?Dune': { Response: 'False', Error: 'Invalid API key!' }
+    };
+    const { ApiService, LOOKUP_STATUS } = loadProviders();
+
+    const result = await ApiService.fetchFromApi('Dune', 'movie', 'dune_movie');
+
+    assert.equal(result.status, LOOKUP_STATUS.ERROR);
+});
@@ -0,0 +1,56 @@
+/**
+ * Watchlist export and import
+ * Run with: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Used by the watchlist page only, with no other module to load
+const context = {};
+context.window = context;
+vm.createContext(context);
+vm.runInContext(
+    fs.readFileSync(path.join(__dirname, '..', 'shared', 'core', 'watchlist-transfer.js'), 'utf8'),
+    context,
+    { filename: 'watchlist-transfer.js' }
+);
+const { WatchlistTransfer } = context;
+
+const ITEM = {
+    id: 'tt1160419',
+    title: '=HYPERLINK("http://example.com","Dune")',
+    year: 2021,
+    type: 'movie',
+    score: 8,
+    votes: '950K',
+    platform: 'netflix',
+    platformTitle: '@Dune',
+    addedAt: Date.UTC(2024, 0, 1),
+    url: 'https://www.imdb.com/title/tt1160419/'
+};
+
+test('spreadsheet CSV values that start like a formula are escaped', () => {
+    const [, first, second] = WatchlistTransfer.parseCsvRows(WatchlistTransfer.toCsv([ITEM, { ...ITEM, title: '-1+1' }]));
+
+    assert.equal(first[1], `'${ITEM.title}`);
+    assert.equal(first[7], "'@Dune");
+    assert.equal(second[1], "'-1+1");
+    assert.equal(first[0], ITEM.id, 'other values are left alone');
+});
+
+test('escaped values import as exported', () => {
+    const { items } = WatchlistTransfer.parseCsv(WatchlistTransfer.toCsv([ITEM]));
+
+    assert.equal(items[0].title, ITEM.title);
+    assert.equal(items[0].platformTitle, '@Dune');
+});
+
+test('titles with an apostrophe of their own are kept', () => {
+    const { items } = WatchlistTransfer.parseCsv(WatchlistTransfer.toCsv([{ ...ITEM, title: "'Salem's Lot" }]));
+
+    assert.equal(items[0].title, "'Salem's Lot");
+});